@@ -0,0 +1,104 @@
+/**
+ * Content-addressed file store for image data and extra clipboard targets.
+ *
+ * Each blob is stored once under its digest (hex SHA-256, or a keyed digest
+ * when the history is encrypted), so identical images share a file and a
+ * name never depends on a weak 32-bit hash.  The store itself knows nothing
+ * about entries: the registry counts references and asks for unreferenced
+ * blobs to be collected.
+ */
+
+import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+
+const BLOB_NAME_RE = /^[0-9a-f]{64}$/;
+
+export class BlobStore {
+    #dir;
+
+    /** @param {string} dir  Directory holding the blobs, created on demand. */
+    constructor (dir) {
+        this.#dir = dir;
+    }
+
+    /** Hex SHA-256 of `bytes`. */
+    static digest (bytes) {
+        return GLib.compute_checksum_for_data(GLib.ChecksumType.SHA256, bytes);
+    }
+
+    pathFor (name) {
+        return GLib.build_filenamev([this.#dir, name]);
+    }
+
+    has (name) {
+        return GLib.file_test(this.pathFor(name), GLib.FileTest.EXISTS);
+    }
+
+    /**
+     * Store `bytes` under `name` unless a blob of that name already exists.
+     * The file is replaced atomically, so a crash never leaves half a blob.
+     */
+    async put (name, bytes) {
+        if (this.has(name)) return;
+        GLib.mkdir_with_parents(this.#dir, 0o700);
+
+        const file = Gio.File.new_for_path(this.pathFor(name));
+        await new Promise((resolve, reject) => {
+            file.replace_contents_bytes_async(new GLib.Bytes(bytes), null, false,
+                Gio.FileCreateFlags.PRIVATE, null, (obj, res) => {
+                    try {
+                        obj.replace_contents_finish(res);
+                        resolve();
+                    } catch (e) { reject(e); }
+                });
+        });
+    }
+
+    /** @returns {Promise<Uint8Array|null>} null if there is no such blob */
+    async get (name) {
+        if (!this.has(name)) return null;
+
+        const file = Gio.File.new_for_path(this.pathFor(name));
+        return new Promise((resolve, reject) => {
+            file.load_contents_async(null, (obj, res) => {
+                try {
+                    const [, contents] = obj.load_contents_finish(res);
+                    resolve(contents);
+                } catch (e) { reject(e); }
+            });
+        });
+    }
+
+    delete (name) {
+        Gio.File.new_for_path(this.pathFor(name)).delete_async(GLib.PRIORITY_DEFAULT, null, (obj, res) => {
+            try { obj.delete_finish(res); } catch (e) { /* ignore: already gone */ }
+        });
+    }
+
+    /**
+     * Delete every blob whose name is not in `live`.  Files that are not
+     * blobs (e.g. temporaries of a write in progress) are left alone.
+     * @param {Set<string>} live
+     * @returns {number} blobs deleted
+     */
+    collect (live) {
+        let removed = 0;
+        try {
+            const folder = Gio.File.new_for_path(this.#dir);
+            const enumerator = folder.enumerate_children(
+                'standard::name', Gio.FileQueryInfoFlags.NOFOLLOW_SYMLINKS, null);
+            let info;
+            while ((info = enumerator.next_file(null)) !== null) {
+                const name = info.get_name();
+                if (!BLOB_NAME_RE.test(name) || live.has(name)) continue;
+                this.delete(name);
+                removed++;
+            }
+            enumerator.close(null);
+        } catch (e) {
+            if (!e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND))
+                console.error('Clipboard Indicator: blob collection failed', e);
+        }
+        return removed;
+    }
+}
@@ -0,0 +1,198 @@
+/**
+ * At-rest encryption for the history registry and cached images.
+ *
+ * GJS has no binding for a system AES implementation, so files are sealed
+ * with ChaCha20 (RFC 8439, pure JS) and authenticated with HMAC-SHA256 from
+ * GLib (encrypt-then-MAC).  The 32-byte master key is random, stored base64
+ * encoded in the user's keyring through libsecret, and never touches disk.
+ *
+ * File layout:  "CIE1" | nonce (12) | ciphertext | HMAC tag (32)
+ * The tag covers magic, nonce and ciphertext.
+ */
+
+import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+
+const MAGIC = new Uint8Array([0x43, 0x49, 0x45, 0x31]); // "CIE1"
+const KEY_LEN = 32;
+const NONCE_LEN = 12;
+const TAG_LEN = 32;
+
+const SECRET_SCHEMA_NAME = 'org.gnome.shell.extensions.clipboard-indicator';
+const SECRET_LABEL = 'Clipboard Indicator history key';
+
+export class HistoryCipher {
+    #encKey;
+    #macKey;
+    #nameKey;
+
+    /**
+     * Look up the master key in the keyring, optionally creating it.
+     * Rejects if libsecret is missing, the keyring is unavailable, or no key
+     * exists and `create` is false.
+     * @param {{create: boolean}} options
+     * @returns {Promise<HistoryCipher>}
+     */
+    static async load ({ create }) {
+        // Imported lazily: a missing typelib must only disable encryption,
+        // not stop the whole extension from loading.
+        const { default: Secret } = await import('gi://Secret?version=1');
+        const schema = new Secret.Schema({
+            name: SECRET_SCHEMA_NAME,
+            flags: Secret.SchemaFlags.NONE,
+            attributes: { 'purpose': Secret.SchemaAttributeType.STRING },
+        });
+        const attrs = { 'purpose': 'history-key' };
+
+        let encoded = await new Promise((resolve, reject) => {
+            Secret.password_lookup(schema, attrs, null, (_src, res) => {
+                try { resolve(Secret.password_lookup_finish(res)); }
+                catch (e) { reject(e); }
+            });
+        });
+
+        if (!encoded) {
+            if (!create) throw new Error('History key not found in keyring');
+            encoded = GLib.base64_encode(_randomBytes(KEY_LEN));
+            await new Promise((resolve, reject) => {
+                Secret.password_store(schema, attrs, Secret.COLLECTION_DEFAULT,
+                    SECRET_LABEL, encoded, null, (_src, res) => {
+                        try { resolve(Secret.password_store_finish(res)); }
+                        catch (e) { reject(e); }
+                    });
+            });
+        }
+
+        const master = GLib.base64_decode(encoded);
+        if (master.length !== KEY_LEN) throw new Error('Malformed history key in keyring');
+        return new HistoryCipher(master);
+    }
+
+    /** True if `bytes` starts with the encrypted-file magic. */
+    static isEncrypted (bytes) {
+        if (!bytes || bytes.length < MAGIC.length + NONCE_LEN + TAG_LEN) return false;
+        return MAGIC.every((b, i) => bytes[i] === b);
+    }
+
+    constructor (masterKey) {
+        // Independent subkeys so the cipher and MAC never share a key
+        this.#encKey = _hmac(masterKey, new TextEncoder().encode('clipboard-indicator enc'));
+        this.#macKey = _hmac(masterKey, new TextEncoder().encode('clipboard-indicator mac'));
+        this.#nameKey = _hmac(masterKey, new TextEncoder().encode('clipboard-indicator name'));
+    }
+
+    /**
+     * Hex HMAC-SHA256 of `data`, for naming stored files without exposing
+     * a plain content hash.
+     * @param {Uint8Array} data
+     * @returns {string}
+     */
+    keyedDigest (data) {
+        return GLib.compute_hmac_for_data(GLib.ChecksumType.SHA256, this.#nameKey, data);
+    }
+
+    /**
+     * @param {Uint8Array} plaintext
+     * @returns {Uint8Array}
+     */
+    encrypt (plaintext) {
+        const nonce = _randomBytes(NONCE_LEN);
+        const headerLen = MAGIC.length + NONCE_LEN;
+        const out = new Uint8Array(headerLen + plaintext.length + TAG_LEN);
+        out.set(MAGIC, 0);
+        out.set(nonce, MAGIC.length);
+        out.set(_chacha20(this.#encKey, nonce, plaintext), headerLen);
+
+        const tag = _hmac(this.#macKey, out.subarray(0, out.length - TAG_LEN));
+        out.set(tag, out.length - TAG_LEN);
+        return out;
+    }
+
+    /**
+     * @param {Uint8Array} sealed
+     * @returns {Uint8Array}
+     * @throws if the data is not encrypted or fails authentication
+     */
+    decrypt (sealed) {
+        if (!HistoryCipher.isEncrypted(sealed)) throw new Error('Not an encrypted history file');
+
+        const body = sealed.subarray(0, sealed.length - TAG_LEN);
+        const tag = sealed.subarray(sealed.length - TAG_LEN);
+        if (!_constantTimeEqual(tag, _hmac(this.#macKey, body)))
+            throw new Error('History file failed authentication (wrong key or corrupted)');
+
+        const nonce = sealed.subarray(MAGIC.length, MAGIC.length + NONCE_LEN);
+        return _chacha20(this.#encKey, nonce, body.subarray(MAGIC.length + NONCE_LEN));
+    }
+}
+
+function _randomBytes (n) {
+    const stream = Gio.File.new_for_path('/dev/urandom').read(null);
+    try {
+        const bytes = stream.read_bytes(n, null).toArray();
+        if (bytes.length !== n) throw new Error('Short read from /dev/urandom');
+        return bytes;
+    } finally {
+        stream.close(null);
+    }
+}
+
+function _hmac (key, data) {
+    const hex = GLib.compute_hmac_for_data(GLib.ChecksumType.SHA256, key, data);
+    const out = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < out.length; i++)
+        out[i] = parseInt(hex.substr(i * 2, 2), 16);
+    return out;
+}
+
+function _constantTimeEqual (a, b) {
+    if (a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) diff |= a[i] ^ b[i];
+    return diff === 0;
+}
+
+// ── ChaCha20 (RFC 8439) ──
+
+function _readLE32 (bytes, off) {
+    return (bytes[off] | (bytes[off + 1] << 8) | (bytes[off + 2] << 16) | (bytes[off + 3] << 24)) >>> 0;
+}
+
+function _quarterRound (x, a, b, c, d) {
+    x[a] += x[b]; x[d] ^= x[a]; x[d] = (x[d] << 16) | (x[d] >>> 16);
+    x[c] += x[d]; x[b] ^= x[c]; x[b] = (x[b] << 12) | (x[b] >>> 20);
+    x[a] += x[b]; x[d] ^= x[a]; x[d] = (x[d] << 8)  | (x[d] >>> 24);
+    x[c] += x[d]; x[b] ^= x[c]; x[b] = (x[b] << 7)  | (x[b] >>> 25);
+}
+
+function _chacha20 (key, nonce, input, counter = 1) {
+    const state = new Uint32Array(16);
+    state[0] = 0x61707865; state[1] = 0x3320646e; state[2] = 0x79622d32; state[3] = 0x6b206574;
+    for (let i = 0; i < 8; i++) state[4 + i] = _readLE32(key, i * 4);
+    for (let i = 0; i < 3; i++) state[13 + i] = _readLE32(nonce, i * 4);
+
+    const x = new Uint32Array(16);
+    const out = new Uint8Array(input.length);
+
+    for (let pos = 0; pos < input.length; pos += 64) {
+        state[12] = counter++;
+        x.set(state);
+        for (let i = 0; i < 10; i++) {
+            _quarterRound(x, 0, 4, 8, 12);
+            _quarterRound(x, 1, 5, 9, 13);
+            _quarterRound(x, 2, 6, 10, 14);
+            _quarterRound(x, 3, 7, 11, 15);
+            _quarterRound(x, 0, 5, 10, 15);
+            _quarterRound(x, 1, 6, 11, 12);
+            _quarterRound(x, 2, 7, 8, 13);
+            _quarterRound(x, 3, 4, 9, 14);
+        }
+
+        const end = Math.min(64, input.length - pos);
+        for (let i = 0; i < end; i++) {
+            const word = (x[i >> 2] + state[i >> 2]) >>> 0;
+            out[pos + i] = input[pos + i] ^ ((word >>> ((i & 3) * 8)) & 0xff);
+        }
+    }
+    return out;
+}
@@ -2,12 +2,68 @@ export const PrefsFields = {
     HISTORY_SIZE        : 'history-size',
     PREVIEW_SIZE        : 'preview-size',
     CACHE_FILE_SIZE     : 'cache-size',
-    AUTO_CLEAR_HOURS    : 'auto-clear-hours',
-    NEXT_CLEAR_TIME     : 'next-clear-time',
+    IMAGE_STORAGE_SIZE  : 'image-storage-size',
+    ENCRYPT_HISTORY     : 'encrypt-history',
+    CAPTURE_RICH_CONTENT: 'capture-rich-content',
+    RICH_CONTENT_MAX_KB : 'rich-content-max-kb',
+    AUTO_CLEAR_HOURS    : 'auto-clear-hours',   // deprecated, migrated to RETENTION_MINUTES
+    RETENTION_MINUTES   : 'retention-minutes',
+    SENSITIVE_RETENTION_MINUTES: 'sensitive-retention-minutes',
+    REMOTE_RETENTION_MINUTES: 'remote-retention-minutes',
     BINDING_TOGGLE_MENU : 'toggle-menu',
+    BINDING_PRIVATE_MODE: 'toggle-private-mode',
+    BINDING_CYCLE_PREVIOUS: 'cycle-previous',
+    BINDING_CYCLE_NEXT  : 'cycle-next',
+    BINDING_TYPE_OUT    : 'type-out',
+    BINDING_CANCEL_TYPE_OUT: 'cancel-type-out',
     ENABLE_KEYBINDING   : 'enable-keybindings',
     SYNC_ENABLED        : 'sync-enabled',
+    SYNC_QUEUE_PERSIST  : 'sync-queue-persist',
+    SYNC_KDECONNECT     : 'sync-kdeconnect-enabled',
+    SYNC_DBUS           : 'sync-dbus-enabled',
+    SYNC_DBUS_NAME      : 'sync-dbus-name',
+    SYNC_DBUS_PATH      : 'sync-dbus-path',
+    SYNC_DBUS_INTERFACE : 'sync-dbus-interface',
+    SYNC_FOLDER         : 'sync-folder-enabled',
+    SYNC_FOLDER_PATH    : 'sync-folder-path',
+    SYNC_SEND           : 'sync-send',
+    SYNC_RECEIVE        : 'sync-receive',
+    SYNC_SEND_TYPES     : 'sync-send-types',
+    SYNC_RECEIVE_TYPES  : 'sync-receive-types',
+    SYNC_SEND_MAX_KB    : 'sync-send-max-kb',
+    SYNC_RECEIVE_MAX_KB : 'sync-receive-max-kb',
+    SYNC_RECEIVE_MODE   : 'sync-receive-mode',
     LANGUAGE            : 'language',
     PASTE_ON_SELECT     : 'paste-on-select',
+    PASTE_METHOD        : 'paste-method',
+    PASTE_RULES         : 'paste-rules',
+    PASTE_DELAY         : 'paste-delay',
+    PASTE_RESTORE_DELAY : 'paste-restore-delay',
+    RESTORE_AFTER_PASTE : 'restore-after-paste',
+    TYPE_OUT_INTERVAL   : 'type-out-interval',
+    TRANSFORM_RESULT    : 'transform-result',
+    TRANSFORM_PASTE     : 'transform-paste',
+    CUSTOM_TRANSFORMS   : 'custom-transforms',
+    ENABLE_PREVIEW      : 'enable-preview',
     ENABLE_LOGGING      : 'enable-logging',
+    PRIVATE_MODE        : 'private-mode',
+    SEARCH_REGEX        : 'search-regex',
+    SEARCH_CASE_SENSITIVE: 'search-case-sensitive',
+    SENSITIVE_DETECTION : 'sensitive-detection',
+    SENSITIVE_POLICY    : 'sensitive-policy',
+    SENSITIVE_MASK_MINUTES: 'sensitive-mask-minutes',
+    SENSITIVE_PATTERNS  : 'sensitive-patterns',
+    APP_FILTER_MODE     : 'app-filter-mode',
+    EXCLUDED_APPS       : 'excluded-apps',
+    ALLOWED_APPS        : 'allowed-apps',
+    TRACK_PRIMARY       : 'track-primary-selection',
+    PRIMARY_HISTORY     : 'primary-history',
+    SELECTION_SYNC      : 'selection-sync',
 };
+
+// Quick-paste shortcuts: slot n pastes the nth entry, newest first
+export const QUICK_PASTE_SLOTS = 9;
+export const PASTE_RECENT_BINDINGS =
+    Array.from({ length: QUICK_PASTE_SLOTS }, (_, i) => `paste-recent-${i + 1}`);
+export const PASTE_PINNED_BINDINGS =
+    Array.from({ length: QUICK_PASTE_SLOTS }, (_, i) => `paste-pinned-${i + 1}`);
@@ -1,4 +1,6 @@
 import Clutter from 'gi://Clutter';
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
 import GObject from 'gi://GObject';
 import Meta from 'gi://Meta';
 import Shell from 'gi://Shell';
@@ -11,25 +13,102 @@ import * as PopupMenu from 'resource:///org/gnome/shell/ui/popupMenu.js';
 import { Extension } from 'resource:///org/gnome/shell/extensions/extension.js';
 
 import { Registry, ClipboardEntry } from './registry.js';
-import { PrefsFields } from './constants.js';
+import { PrefsFields, PASTE_RECENT_BINDINGS, PASTE_PINNED_BINDINGS } from './constants.js';
 import { Keyboard } from './keyboard.js';
-import { MountLinkSync } from './sync.js';
+import { SyncManager, queuePath } from './syncmanager.js';
+import { ReceiveMode, SYNC_TYPES, SyncType, syncTypeOf, checkSyncPolicy } from './syncpolicy.js';
+import { HistoryService } from './service.js';
+import { SensitiveDetector, SensitivePolicy } from './sensitive.js';
+import { MultiTargetSource } from './selection.js';
+import { PasteMethod, parsePasteRule, canPasteWith } from './paste.js';
+import { BUILTIN_TRANSFORMS, canTransform, parseCustomTransform, runCommand } from './transforms.js';
+import { SnippetStore, expandSnippet, snippetTitle } from './snippets.js';
+import { PreviewPane } from './preview.js';
 import { tr, setLanguage } from './locale.js';
 import { Logger } from './logger.js';
 
 const CLIPBOARD_TYPE = St.ClipboardType.CLIPBOARD;
+const PRIMARY_TYPE = St.ClipboardType.PRIMARY;
 const INDICATOR_ICON = 'edit-paste-symbolic';
+const PRIVATE_MODE_ICON = 'changes-prevent-symbolic';
+// Upper bound on extra flavors kept per entry, whatever the source offers
+const MAX_EXTRA_TARGETS = 16;
+// Hover must rest this long before the preview follows the pointer
+const PREVIEW_HOVER_DELAY = 300;
+// The primary selection is read once it stops changing, so dragging over
+// text does not record every intermediate selection
+const PRIMARY_SETTLE_DELAY = 500;
+// A selection that grows from the previous one this soon replaces it
+const PRIMARY_MERGE_WINDOW = 3000;
+const TEXT_MIMETYPES = ['text/plain;charset=utf-8', 'UTF8_STRING', 'text/plain', 'STRING'];
+// Best first: the status row shows the icon of the best provider state
+const SYNC_STATES = ['connected', 'listening', 'connecting', 'error', 'stopped', 'disconnected'];
+// Menu icons of the delivery state of entries sent to other devices
+const SYNC_STATE_ICONS = {
+    pending: 'content-loading-symbolic',
+    sent: 'emblem-ok-symbolic',
+    failed: 'dialog-warning-symbolic',
+    'too-large': 'action-unavailable-symbolic',
+};
+// Keys sent by the paste methods of paste.js (AUTO depends on the input purpose)
+const PASTE_KEYS = {
+    [PasteMethod.CTRL_V]: [Clutter.KEY_Control_L, Clutter.KEY_v],
+    [PasteMethod.CTRL_SHIFT_V]: [Clutter.KEY_Control_L, Clutter.KEY_Shift_L, Clutter.KEY_v],
+    [PasteMethod.SHIFT_INSERT]: [Clutter.KEY_Shift_L, Clutter.KEY_Insert],
+};
 
 // Settings variables (module-level for fast access)
 let MAX_REGISTRY_LENGTH = 50;
 let MAX_ENTRY_LENGTH    = 50;
 let PASTE_ON_SELECT     = false;
+let PASTE_METHOD        = PasteMethod.AUTO;
+let PASTE_RULES         = new Map();
+let PASTE_DELAY_MS      = 50;
+let PASTE_RESTORE_DELAY_MS = 50;
+let RESTORE_AFTER_PASTE = true;
+let TYPE_OUT_INTERVAL_MS = 15;
+let TRANSFORM_RESULT    = 'new';
+let TRANSFORM_PASTE     = false;
+let CUSTOM_TRANSFORMS   = [];
+let ENABLE_PREVIEW      = true;
 let ENABLE_KEYBINDING   = true;
-let AUTO_CLEAR_HOURS    = 0;
-let NEXT_CLEAR_TIME     = -1;
+let RETENTION_MINUTES   = 0;
+let SENSITIVE_RETENTION_MINUTES = 0;
+let REMOTE_RETENTION_MINUTES = 0;
 let SYNC_ENABLED        = true;
+let SYNC_QUEUE_PERSIST  = false;
+let SYNC_KDECONNECT     = false;
+let SYNC_DBUS           = false;
+let SYNC_DBUS_NAME      = '';
+let SYNC_DBUS_PATH      = '';
+let SYNC_DBUS_INTERFACE = '';
+let SYNC_FOLDER         = false;
+let SYNC_FOLDER_PATH    = '';
+let SYNC_SEND           = true;
+let SYNC_RECEIVE        = true;
+let SYNC_SEND_TYPES     = new Set(SYNC_TYPES);
+let SYNC_RECEIVE_TYPES  = new Set(SYNC_TYPES);
+let SYNC_SEND_MAX_KB    = 0;
+let SYNC_RECEIVE_MAX_KB = 0;
+let SYNC_RECEIVE_MODE   = ReceiveMode.CLIPBOARD;
 let MAX_CACHE_SIZE      = 5;
+let MAX_IMAGE_STORAGE   = 100;
+let ENCRYPT_HISTORY     = false;
+let CAPTURE_RICH_CONTENT = true;
+let RICH_CONTENT_MAX_KB = 1024;
 let ENABLE_LOGGING      = false;
+let PRIVATE_MODE        = false;
+let SEARCH_REGEX        = false;
+let SEARCH_CASE_SENSITIVE = false;
+let SENSITIVE_DETECTION = true;
+let SENSITIVE_POLICY    = SensitivePolicy.MASK;
+let SENSITIVE_MASK_MINUTES = 10;
+let APP_FILTER_MODE     = 'exclude';
+let EXCLUDED_APPS       = new Set();
+let ALLOWED_APPS        = new Set();
+let TRACK_PRIMARY       = false;
+let PRIMARY_HISTORY     = 'merged';
+let SELECTION_SYNC      = 'none';
 
 export default class ClipboardIndicatorExtension extends Extension {
     enable () {
@@ -55,18 +134,27 @@ const ClipboardIndicator = GObject.registerClass({
     GTypeName: 'ClipboardIndicator'
 }, class ClipboardIndicator extends PanelMenu.Button {
     #refreshInProgress = false;
+    #primaryRefreshInProgress = false;
+    #ownPrimarySource = null;
+    #ownClipboardSource = null;
     #lastReceivedHash = null;
+    // Entry id → { state, delivery } of its last send, for this session only
+    #syncStates = new Map();
 
     destroy () {
         this.logger.info('Extension destroy called');
-        this._flushCache();
+        // Synchronous: the shell may be going down right after this
+        this._flushCache({ sync: true });
         this._destroyed = true;
         this._disconnectSettings();
         this._unbindShortcuts();
         this._disconnectSelectionListener();
         this.#clearTimeouts();
+        this.previewPane.destroy();
+        this.snippetStore.destroy();
         this.keyboard.destroy();
         this.sync?.destroy();
+        this.service?.destroy();
         this.logger.destroy();
         super.destroy();
     }
@@ -77,7 +165,11 @@ const ClipboardIndicator = GObject.registerClass({
         this.registry = new Registry(extension.uuid);
         this.keyboard = new Keyboard();
         this.logger = new Logger(extension.uuid, ENABLE_LOGGING);
+        this.sensitiveDetector = new SensitiveDetector();
+        this.previewPane = new PreviewPane();
+        this.snippetStore = new SnippetStore(extension.uuid);
         this.clipItemsRadioGroup = [];
+        this.snippetItems = [];
         this._shortcutsBindingIds = [];
         this._menuReady = false;
 
@@ -88,13 +180,15 @@ const ClipboardIndicator = GObject.registerClass({
         let hbox = new St.BoxLayout({
             style_class: 'panel-status-menu-box clipboard-indicator-hbox'
         });
-        hbox.add_child(new St.Icon({
+        this._panelIcon = new St.Icon({
             icon_name: INDICATOR_ICON,
             style_class: 'system-status-icon clipboard-indicator-icon'
-        }));
+        });
+        hbox.add_child(this._panelIcon);
         this.add_child(hbox);
 
         this._loadSettings();
+        this._updatePrivateModeUI();
 
         // Build menu async, then set up listeners and sync module.
         // _initSync() is intentionally inside the callback so D-Bus signals
@@ -102,10 +196,12 @@ const ClipboardIndicator = GObject.registerClass({
         this._buildMenu().then(() => {
             if (this._destroyed) return;
             this._setupListener();
-            this._setupAutoClear();
+            // Entries may have expired while the extension was off
+            this._scheduleRetentionSweep();
             this._initSync();
-            // onStateChanged callback in _initSync fires _updateSyncStatus
-            // synchronously, so no separate call is needed here.
+            this._initService();
+            this.snippetStore.watch(() => this.#loadSnippets());
+            this.#loadSnippets();
             this.logger.info('Extension initialized, history:', this.clipItemsRadioGroup.length, 'items');
         }).catch(e => {
             console.error('Clipboard Indicator: menu build failed', e);
@@ -116,10 +212,73 @@ const ClipboardIndicator = GObject.registerClass({
     // ──────────────────────── Menu Construction ────────────────────────
 
     async _buildMenu () {
-        const clipHistory = await this.registry.read(MAX_REGISTRY_LENGTH, MAX_CACHE_SIZE);
+        await this.registry.setEncryption(ENCRYPT_HISTORY);
+        // Trimmed by _removeOldestEntries() once sorted into histories
+        const clipHistory = await this.registry.read(0);
         if (this._destroyed) return;
 
-        // ── Status bar (MountLink connection) ──
+        // ── Search entry ──
+        const searchItem = new PopupMenu.PopupBaseMenuItem({
+            reactive: false,
+            can_focus: false
+        });
+        this.searchEntry = new St.Entry({
+            style_class: 'search-entry ci-history-search-entry',
+            can_focus: true,
+            hint_text: tr('search-hint'),
+            track_hover: true,
+            x_expand: true,
+            primary_icon: new St.Icon({ icon_name: 'edit-find-symbolic' })
+        });
+        searchItem.add_child(this.searchEntry);
+        this.menu.addMenuItem(searchItem);
+
+        const searchText = this.searchEntry.get_clutter_text();
+        searchText.connect('text-changed', () => this._onSearchTextChanged());
+        searchText.connect('activate', () => {
+            const first = this.#visibleItemsInMenuOrder()[0];
+            if (first) this.#pickItem(first);
+        });
+        searchText.connect('key-press-event', (actor, event) => {
+            if (event.get_key_symbol() !== Clutter.KEY_Down) return Clutter.EVENT_PROPAGATE;
+            const first = this.#visibleItemsInMenuOrder()[0];
+            if (!first) return Clutter.EVENT_PROPAGATE;
+            first.grab_key_focus();
+            return Clutter.EVENT_STOP;
+        });
+
+        // Typing in the search entry hides the preview of the last item
+        searchText.connect('key-focus-in', () => this._hidePreview());
+
+        // Digits pick the nth entry; the search entry keeps them as text
+        this.menu.actor.connect('key-press-event', (_actor, event) => {
+            const n = _digitOf(event.get_key_symbol());
+            const item = n > 0 ? this.#visibleItemsInMenuOrder()[n - 1] : null;
+            if (!item) return Clutter.EVENT_PROPAGATE;
+            this.#pickItem(item);
+            return Clutter.EVENT_STOP;
+        });
+
+        this.menu.connect('open-state-changed', (_menu, open) => {
+            if (!open) {
+                this._focusSearchOnOpen = false;
+                this._hidePreview();
+                this.#hideActions();
+                return;
+            }
+            this.searchEntry.set_text('');
+            if (!this._focusSearchOnOpen) return;
+            this._focusSearchOnOpen = false;
+            // The menu moves key focus to itself while opening; wait for
+            // that to settle before handing focus to the search entry.
+            if (this._searchFocusTimeout) clearTimeout(this._searchFocusTimeout);
+            this._searchFocusTimeout = setTimeout(() => {
+                this._searchFocusTimeout = null;
+                if (this.menu.isOpen) this.searchEntry.grab_key_focus();
+            }, 50);
+        });
+
+        // ── Status bar (sync providers) ──
         this._statusItem = new PopupMenu.PopupBaseMenuItem({
             reactive: false,
             can_focus: false
@@ -139,9 +298,47 @@ const ClipboardIndicator = GObject.registerClass({
         this._statusItem.add_child(statusBox);
         this.menu.addMenuItem(this._statusItem);
 
+        this._cancelTransferItem = new PopupMenu.PopupMenuItem(tr('sync-cancel-transfer'));
+        this._cancelTransferItem.connect('activate', () => this.sync?.cancelTransfer());
+        this._cancelTransferItem.visible = false;
+        this.menu.addMenuItem(this._cancelTransferItem);
+
+        // ── Locked history warning (encryption key unavailable) ──
+        this._keyWarningItem = new PopupMenu.PopupMenuItem(tr('history-locked'), {
+            reactive: false,
+            can_focus: false
+        });
+        this._keyWarningItem.add_style_class_name('ci-key-warning');
+        this._keyWarningItem.insert_child_at_index(
+            new St.Icon({
+                icon_name: 'dialog-warning-symbolic',
+                style_class: 'clipboard-menu-icon',
+                y_align: Clutter.ActorAlign.CENTER
+            }), 0
+        );
+        this.menu.addMenuItem(this._keyWarningItem);
+
+        this._keyResetItem = new PopupMenu.PopupMenuItem(tr('history-locked-reset'));
+        this._keyResetItem.connect('activate', () => this._discardLockedHistory());
+        this.menu.addMenuItem(this._keyResetItem);
+
         // ── Separator ──
         this.menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
 
+        // ── Pinned section (scrollable, kept above history) ──
+        this.pinnedSection = new PopupMenu.PopupMenuSection();
+        this.pinnedScrollViewMenuSection = new PopupMenu.PopupMenuSection();
+        this.pinnedScrollView = new St.ScrollView({
+            style_class: 'ci-history-menu-section ci-pinned-menu-section',
+            overlay_scrollbars: true
+        });
+        this.pinnedScrollView.add_child(this.pinnedSection.actor);
+        this.pinnedScrollViewMenuSection.actor.add_child(this.pinnedScrollView);
+        this.menu.addMenuItem(this.pinnedScrollViewMenuSection);
+
+        this._pinnedSeparator = new PopupMenu.PopupSeparatorMenuItem();
+        this.menu.addMenuItem(this._pinnedSeparator);
+
         // ── History section (scrollable) ──
         this.historySection = new PopupMenu.PopupMenuSection();
         this.scrollViewMenuSection = new PopupMenu.PopupMenuSection();
@@ -153,6 +350,34 @@ const ClipboardIndicator = GObject.registerClass({
         this.scrollViewMenuSection.actor.add_child(this.historyScrollView);
         this.menu.addMenuItem(this.scrollViewMenuSection);
 
+        // ── Primary selection section (separate primary history only) ──
+        this._primaryHeader = new PopupMenu.PopupSeparatorMenuItem(tr('primary-selection'));
+        this.menu.addMenuItem(this._primaryHeader);
+        this.primarySection = new PopupMenu.PopupMenuSection();
+        this.primaryScrollViewMenuSection = new PopupMenu.PopupMenuSection();
+        this.primaryScrollView = new St.ScrollView({
+            style_class: 'ci-history-menu-section ci-primary-menu-section',
+            overlay_scrollbars: true
+        });
+        this.primaryScrollView.add_child(this.primarySection.actor);
+        this.primaryScrollViewMenuSection.actor.add_child(this.primaryScrollView);
+        this.menu.addMenuItem(this.primaryScrollViewMenuSection);
+
+        // ── Snippets (shown while there are any) ──
+        this._snippetHeader = new PopupMenu.PopupSeparatorMenuItem(tr('snippets'));
+        this.menu.addMenuItem(this._snippetHeader);
+        this.snippetSection = new PopupMenu.PopupMenuSection();
+        this.snippetScrollViewMenuSection = new PopupMenu.PopupMenuSection();
+        this.snippetScrollView = new St.ScrollView({
+            style_class: 'ci-history-menu-section ci-snippet-menu-section',
+            overlay_scrollbars: true
+        });
+        this.snippetScrollView.add_child(this.snippetSection.actor);
+        this.snippetScrollViewMenuSection.actor.add_child(this.snippetScrollView);
+        this.menu.addMenuItem(this.snippetScrollViewMenuSection);
+        this._snippetHeader.visible = false;
+        this.snippetScrollView.visible = false;
+
         // ── Empty state ──
         this.emptyStateSection = new St.BoxLayout({
             style_class: 'clipboard-indicator-empty-state',
@@ -172,6 +397,13 @@ const ClipboardIndicator = GObject.registerClass({
         // ── Bottom separator ──
         this.menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
 
+        // ── Private mode switch ──
+        this._privateModeItem = new PopupMenu.PopupSwitchMenuItem(tr('private-mode'), PRIVATE_MODE);
+        this._privateModeItem.connect('toggled', (_item, state) => {
+            this.extension.settings.set_boolean(PrefsFields.PRIVATE_MODE, state);
+        });
+        this.menu.addMenuItem(this._privateModeItem);
+
         // ── Clear history button ──
         this.clearMenuItem = new PopupMenu.PopupMenuItem(tr('clear-history'));
         this.clearMenuItem.insert_child_at_index(
@@ -198,24 +430,66 @@ const ClipboardIndicator = GObject.registerClass({
 
         // ── Populate cached entries ──
         clipHistory.forEach(entry => this._addEntry(entry));
-        if (clipHistory.length > 0) {
-            this._selectMenuItem(this.clipItemsRadioGroup[clipHistory.length - 1]);
-        }
-
-        // Auto-clear runs silently — no visible countdown needed
+        this._removeOldestEntries();
+        const newest = [...this.clipItemsRadioGroup].reverse()
+            .find(item => this.#historyOf(item.entry) === 'clipboard');
+        if (newest) this._selectMenuItem(newest);
 
         this._updateEmptyState();
+        this._updateKeyWarning();
         this._menuReady = true;
     }
 
+    // ──────────────────────── Encryption ────────────────────────
+
+    _updateKeyWarning () {
+        const locked = this.registry.keyUnavailable;
+        this._keyWarningItem.visible = locked;
+        this._keyResetItem.visible = locked;
+        if (locked && !this._keyWarningNotified) {
+            this.logger.warn('History encryption key unavailable, saving suspended');
+            Main.notify(tr('history-locked-title'), tr('history-locked'));
+        }
+        this._keyWarningNotified = locked;
+    }
+
+    _applyEncryptionSetting () {
+        this.registry.setEncryption(ENCRYPT_HISTORY).then(() => {
+            if (this._destroyed) return;
+            this._updateKeyWarning();
+            // Private mode keeps the registry untouched; the next regular
+            // flush after it ends writes the registry in the new mode.
+            if (!PRIVATE_MODE)
+                this.registry.write(this.clipItemsRadioGroup.map(i => i.entry));
+        }).catch(e => console.error('Clipboard Indicator: encryption toggle failed', e));
+    }
+
+    _discardLockedHistory () {
+        this.registry.discardUnreadable().then(ok => {
+            if (this._destroyed) return;
+            this._updateKeyWarning();
+            if (ok) this._flushCache();
+        }).catch(e => console.error('Clipboard Indicator: discard history failed', e));
+    }
+
     _updateEmptyState () {
         const hasItems = this.clipItemsRadioGroup.length > 0;
+        const hasPinned = this.clipItemsRadioGroup.some(i => i.entry.isPinned());
+        const unpinned = this.clipItemsRadioGroup.filter(i => !i.entry.isPinned());
+        const hasUnpinned = unpinned.length > 0;
+        const hasPrimary = unpinned.some(i => this.#historyOf(i.entry) === 'primary');
+
+        this.pinnedScrollView.visible = hasPinned;
+        this._pinnedSeparator.visible = hasPinned && hasUnpinned;
+        this._primaryHeader.visible = hasPrimary;
+        this.primaryScrollView.visible = hasPrimary;
 
         if (hasItems) {
             if (this.menu.box.contains(this.emptyStateSection))
                 this.menu.box.remove_child(this.emptyStateSection);
-            this.historyScrollView.visible = true;
-            this.clearMenuItem.visible = true;
+            this.historyScrollView.visible = unpinned.some(i => this.#historyOf(i.entry) === 'clipboard');
+            // Clearing never touches pinned entries
+            this.clearMenuItem.visible = hasUnpinned;
         } else {
             this.historyScrollView.visible = false;
             this.clearMenuItem.visible = false;
@@ -227,19 +501,45 @@ const ClipboardIndicator = GObject.registerClass({
     // ──────────────────────── Sync ────────────────────────
 
     _initSync () {
-        this.sync = new MountLinkSync({
-            enabled: SYNC_ENABLED,
-            onClipboardReceived: (mimetype, bytes) => this._onRemoteClipboard(mimetype, bytes),
-            onStateChanged: (state) => this._updateSyncStatus(state)
+        this.sync = new SyncManager({
+            onClipboardReceived: (provider, mimetype, bytes, meta) => this._onRemoteClipboard(mimetype, bytes, meta),
+            acceptIncoming: (provider, mimetype, size) => this.#remoteRefusal(mimetype, size),
+            onStateChanged: (provider, state) => this._updateSyncStatus(provider, state),
+            onChanged: () => this._updateSyncUI(),
+            onReceiveDropped: (provider, reason) => {
+                this.logger.warn(`Remote entry dropped (${provider}):`, reason);
+                this._syncNotice = `sync-dropped-${reason}`;
+                this._updateSyncUI();
+            }
         });
+        this.sync.updateSettings(this.#syncSettings());
+        this._updateSyncUI();
     }
 
-    _updateSyncStatus (state) {
-        this.logger.info('Sync state:', state);
-        this._updateSyncUI(state);
+    /** Queued entries are only written to disk while the history is not encrypted. */
+    #syncSettings () {
+        const queueDir = SYNC_QUEUE_PERSIST && !ENCRYPT_HISTORY ? this.registry.REGISTRY_DIR : null;
+        return {
+            mountlink: { enabled: SYNC_ENABLED, queuePath: queuePath(queueDir, 'mountlink') },
+            kdeconnect: { enabled: SYNC_KDECONNECT },
+            dbus: {
+                enabled: SYNC_DBUS,
+                busName: SYNC_DBUS_NAME,
+                objectPath: SYNC_DBUS_PATH,
+                iface: SYNC_DBUS_INTERFACE,
+                queuePath: queuePath(queueDir, 'dbus'),
+            },
+            folder: { enabled: SYNC_FOLDER, path: SYNC_FOLDER_PATH },
+        };
     }
 
-    _updateSyncUI (state) {
+    _updateSyncStatus (provider, state) {
+        this.logger.info(`Sync state (${provider}):`, state);
+        this._updateSyncUI();
+    }
+
+    /** One status line per enabled provider, under the icon of the best state. */
+    _updateSyncUI () {
         if (!this._statusLabel || this._destroyed) return;
 
         const map = {
@@ -252,8 +552,27 @@ const ClipboardIndicator = GObject.registerClass({
             'stopped':      { text: tr('sync-stopped'),      icon: 'network-offline-symbolic',          css: 'sync-disconnected' }
         };
 
-        const s = map[state] || map['disconnected'];
-        this._statusLabel.set_text(s.text);
+        const providers = this.sync?.enabled ?? [];
+        const lines = providers.map(provider => {
+            const parts = [`${tr(`sync-provider-${provider.id}`)}: ${(map[provider.state] ?? map['disconnected']).text}`];
+            const { transfer, queueLength } = provider;
+            if (transfer)
+                parts.push(`${tr(`sync-${transfer.direction}ing`)} ${Math.floor(transfer.fraction * 100)}%`);
+            if (queueLength > 0) parts.push(`${queueLength} ${tr('sync-queued')}`);
+            return parts.join(' · ');
+        });
+        if (lines.length === 0) lines.push(tr('sync-disabled'));
+        // A provider that writes received text to the clipboard keeps
+        // copied text to itself, see SyncManager.send()
+        const textWriter = providers.find(p => p.writesClipboard('text/plain'));
+        if (textWriter && providers.length > 1)
+            lines.push(`${tr('sync-text-only-to')} ${tr(`sync-provider-${textWriter.id}`)}`);
+        if (this._syncNotice) lines.push(tr(this._syncNotice));
+
+        const best = SYNC_STATES.find(state => providers.some(p => p.state === state));
+        const s = map[best ?? 'disabled'];
+        this._statusLabel.set_text(lines.join('\n'));
+        this._cancelTransferItem.visible = !!this.sync?.transferring;
         this._statusIcon.icon_name = s.icon;
 
         for (const cls of ['sync-connected', 'sync-connecting', 'sync-disconnected', 'sync-disabled'])
@@ -261,30 +580,133 @@ const ClipboardIndicator = GObject.registerClass({
         this._statusLabel.add_style_class_name(s.css);
     }
 
-    _onRemoteClipboard (mimetype, bytes) {
-        if (!this._menuReady || this._destroyed) return;
+    /**
+     * Why a remote entry of this type and size would not be taken, so
+     * providers can refuse it before downloading it.
+     * @returns {string|null} the reason, null if it would be taken
+     */
+    #remoteRefusal (mimetype, size) {
+        if (!this._menuReady || this._destroyed) return 'not ready';
+        if (PRIVATE_MODE) return 'private mode';
+        return checkSyncPolicy(
+            { enabled: SYNC_RECEIVE, types: SYNC_RECEIVE_TYPES, maxKb: SYNC_RECEIVE_MAX_KB },
+            syncTypeOf(mimetype), size);
+    }
+
+    /**
+     * @param {{id?: string, origin?: string, timestamp?: number}} meta
+     *        Sent along by MountLink v2 and the shared folder, empty otherwise
+     * @returns {string|null} why the entry was not taken, null if it was
+     */
+    _onRemoteClipboard (mimetype, bytes, meta = {}) {
+        const refusal = this.#remoteRefusal(mimetype, bytes.length);
+        if (refusal) {
+            this.logger.info('Remote clipboard ignored:', refusal);
+            return refusal;
+        }
+        if (this._syncNotice) {
+            this._syncNotice = null;
+            this._updateSyncUI();
+        }
         const entry = new ClipboardEntry(mimetype, bytes);
-        this.#lastReceivedHash = entry.getStringValue();
+        entry.markRemote(meta.origin);
+        if (!this.#applySensitivePolicy(entry, [mimetype])) return 'sensitive content';
         this.logger.info('Remote clipboard received:',
-            mimetype, `(${bytes.length} bytes)`);
-
-        // Write to system clipboard
-        this.extension.clipboard.set_content(CLIPBOARD_TYPE, mimetype, entry.asBytes());
+            mimetype, `(${bytes.length} bytes)`, meta.origin ? `from ${meta.origin}` : '');
+
+        // Otherwise the entry waits in the history, the clipboard keeps
+        // what was copied here
+        const toClipboard = SYNC_RECEIVE_MODE !== ReceiveMode.HISTORY;
+        if (toClipboard) {
+            this.#lastReceivedHash = entry.getStringValue();
+            this.#setClipboard(entry);
+        }
 
         // Check for duplicate in history
         for (let item of this.clipItemsRadioGroup) {
             if (item.entry.equals(entry)) {
-                this._selectMenuItem(item, false);
-                this._clearRemoteHash();
-                return;
+                this.#mergeSensitivity(item, entry);
+                this.#touchEntry(item);
+                if (toClipboard) {
+                    this._selectMenuItem(item, false);
+                    this._clearRemoteHash();
+                }
+                return null;
             }
         }
 
         // New entry from remote
-        this._addEntry(entry, true, false);
+        this._addEntry(entry, toClipboard, false);
         this._removeOldestEntries();
         this._updateCache();
-        this._clearRemoteHash();
+        this.service?.emitEntryAdded(entry);
+        if (toClipboard) this._clearRemoteHash();
+        return null;
+    }
+
+    /**
+     * Send an entry to the sync providers and track its delivery in the menu.
+     * `content` supplies the data when `entry`, the history copy, may
+     * not have it loaded.
+     */
+    #sendToRemote (entry, content = entry) {
+        const type = content.isFileList() ? SyncType.FILES : syncTypeOf(content.mimetype());
+        const blocked = checkSyncPolicy(
+            { enabled: SYNC_SEND, types: SYNC_SEND_TYPES, maxKb: SYNC_SEND_MAX_KB },
+            type, content.byteLength());
+        if (blocked) {
+            this.logger.info('Entry not synced:', blocked);
+            return;
+        }
+
+        const delivery = this.sync?.send(content.mimetype(), content.rawBytes(),
+            { id: entry.id(), timestamp: entry.capturedAt() });
+        if (!delivery) return;
+
+        const id = entry.id();
+        this.#setSyncState(id, 'pending', delivery);
+        delivery.then(({ delivered, detail, reason }) => {
+            if (this._destroyed) return;
+            if (!delivered) this.logger.warn('Sync delivery failed:', detail || 'no reason given');
+            // Only the latest send of an entry counts
+            if (this.#syncStates.get(id)?.delivery !== delivery) return;
+            // The icon alone is easy to miss on an entry below the fold
+            const notice = reason === 'too-large' ? 'sync-too-large' : delivered ? null : this._syncNotice;
+            if (notice !== this._syncNotice) {
+                this._syncNotice = notice;
+                this._updateSyncUI();
+            }
+            if (reason === 'cancelled') this.#setSyncState(id, null);
+            else this.#setSyncState(id, delivered ? 'sent' : reason ?? 'failed', delivery);
+        });
+    }
+
+    /** A null `state` forgets the entry's delivery and removes its icon. */
+    #setSyncState (id, state, delivery) {
+        if (state) this.#syncStates.set(id, { state, delivery });
+        else this.#syncStates.delete(id);
+        const item = this.#findItem(id);
+        if (item) this.#updateSyncIcon(item);
+    }
+
+    #updateSyncIcon (menuItem) {
+        const { state } = this.#syncStates.get(menuItem.entry.id()) ?? {};
+        if (!state) {
+            menuItem.syncIcon?.destroy();
+            menuItem.syncIcon = null;
+            return;
+        }
+        if (!menuItem.syncIcon) {
+            menuItem.syncIcon = new St.Icon({
+                style_class: 'clipboard-menu-icon ci-sync-state',
+                y_align: Clutter.ActorAlign.CENTER
+            });
+            menuItem.insert_child_above(menuItem.syncIcon, menuItem.label);
+        }
+        menuItem.syncIcon.icon_name = SYNC_STATE_ICONS[state];
+        for (const s of Object.keys(SYNC_STATE_ICONS))
+            menuItem.syncIcon.remove_style_class_name(`ci-sync-${s}`);
+        menuItem.syncIcon.add_style_class_name(`ci-sync-${state}`);
     }
 
     _clearRemoteHash () {
@@ -294,6 +716,63 @@ const ClipboardIndicator = GObject.registerClass({
         }, 3000);
     }
 
+    // ──────────────────────── D-Bus Service ────────────────────────
+
+    _initService () {
+        const withItem = (id, action) => {
+            const item = this.#findItem(id);
+            if (!item) return false;
+            action(item);
+            return true;
+        };
+
+        this.service = new HistoryService({
+            listEntries: () => [...this.clipItemsRadioGroup].reverse()
+                .map(item => ({ entry: item.entry, selected: !!item.currentlySelected })),
+            findEntry: id => this.#findItem(id)?.entry ?? null,
+            loadEntry: entry => this.registry.loadEntry(entry),
+            selectEntry: id => withItem(id, item => this._selectMenuItem(item)),
+            deleteEntry: id => withItem(id, item => this._removeEntry(item)),
+            setPinned: (id, pinned) => withItem(id, item => {
+                if (item.entry.isPinned() !== pinned) this._togglePin(item);
+            }),
+            clear: () => this._clearHistory(),
+            addEntry: (mimetype, bytes) => this.#addExternalEntry(mimetype, bytes),
+            setPrivateMode: enabled =>
+                this.extension.settings.set_boolean(PrefsFields.PRIVATE_MODE, enabled),
+        });
+    }
+
+    #findItem (id) {
+        return this.clipItemsRadioGroup.find(item => item.entry.id() === id);
+    }
+
+    /** Add an entry supplied over D-Bus without touching the clipboard. */
+    #addExternalEntry (mimetype, bytes) {
+        if (PRIVATE_MODE)
+            throw new GLib.Error(Gio.DBusError, Gio.DBusError.FAILED, 'Private mode is on');
+
+        const entry = new ClipboardEntry(mimetype, bytes);
+        if (!this.#applySensitivePolicy(entry, [mimetype])) {
+            throw new GLib.Error(Gio.DBusError, Gio.DBusError.ACCESS_DENIED,
+                'Sensitive content is not stored');
+        }
+
+        const existing = this.clipItemsRadioGroup.find(item => item.entry.equals(entry));
+        if (existing) {
+            this.#mergeSensitivity(existing, entry);
+            this.#touchEntry(existing);
+            return existing.entry;
+        }
+
+        this._addEntry(entry);
+        this._removeOldestEntries();
+        this._updateCache();
+        this.service.emitEntryAdded(entry);
+        this.logger.info('Entry added over D-Bus:', mimetype, `(${bytes.length} bytes)`);
+        return entry;
+    }
+
     // ──────────────────────── Entry Management ────────────────────────
 
     _addEntry (entry, autoSelect = false, autoSetClip = false) {
@@ -307,7 +786,17 @@ const ClipboardIndicator = GObject.registerClass({
         });
 
         menuItem.connect('key-focus-in', () => {
-            AnimationUtils.ensureActorVisibleInScrollView(this.historyScrollView, menuItem);
+            AnimationUtils.ensureActorVisibleInScrollView(this.#placementOf(entry).scrollView, menuItem);
+            this._schedulePreview(menuItem, 0);
+        });
+
+        menuItem.connect('notify::hover', () => {
+            if (menuItem.hover) this._schedulePreview(menuItem);
+        });
+
+        menuItem.connect('destroy', () => {
+            if (this.previewPane.entry === menuItem.entry) this._hidePreview();
+            if (this._actionsItem === menuItem) this.#hideActions();
         });
 
         menuItem.connect('key-press-event', (actor, event) => {
@@ -321,10 +810,20 @@ const ClipboardIndicator = GObject.registerClass({
                 this.#pasteItem(menuItem);
                 return Clutter.EVENT_STOP;
             }
+            if (sym === Clutter.KEY_p) {
+                this._togglePin(menuItem);
+                return Clutter.EVENT_STOP;
+            }
+            if (sym === Clutter.KEY_t && canPasteWith(PasteMethod.TYPE, entry)) {
+                this.#typeOut(menuItem);
+                return Clutter.EVENT_STOP;
+            }
+            if (sym === Clutter.KEY_a && canTransform(entry)) {
+                this.#toggleActions(menuItem);
+                return Clutter.EVENT_STOP;
+            }
             if (sym === Clutter.KEY_KP_Enter || sym === Clutter.KEY_Return) {
-                this._selectMenuItem(menuItem);
-                if (PASTE_ON_SELECT) this.#pasteItem(menuItem);
-                this.menu.close();
+                this.#pickItem(menuItem);
                 return Clutter.EVENT_STOP;
             }
             return Clutter.EVENT_PROPAGATE;
@@ -332,6 +831,64 @@ const ClipboardIndicator = GObject.registerClass({
 
         this._setEntryLabel(menuItem);
 
+        if (entry.isPrimary()) {
+            menuItem.insert_child_below(new St.Icon({
+                icon_name: 'input-mouse-symbolic',
+                style_class: 'clipboard-menu-icon ci-primary-icon',
+                y_align: Clutter.ActorAlign.CENTER
+            }), menuItem.label);
+        }
+
+        // Type-out button, for fields that refuse pasting
+        const canType = canPasteWith(PasteMethod.TYPE, entry);
+        if (canType) {
+            let typeBtn = new St.Button({
+                style_class: 'ci-action-btn',
+                can_focus: true,
+                child: new St.Icon({
+                    icon_name: 'input-keyboard-symbolic',
+                    style_class: 'system-status-icon'
+                }),
+                x_align: Clutter.ActorAlign.END,
+                x_expand: true,
+                y_expand: true
+            });
+            typeBtn.connect('clicked', () => this.#typeOut(menuItem));
+            menuItem.add_child(typeBtn);
+        }
+
+        if (canTransform(entry)) {
+            let actionsBtn = new St.Button({
+                style_class: 'ci-action-btn',
+                can_focus: true,
+                child: new St.Icon({
+                    icon_name: 'view-more-symbolic',
+                    style_class: 'system-status-icon'
+                }),
+                x_align: Clutter.ActorAlign.END,
+                x_expand: !canType,
+                y_expand: true
+            });
+            actionsBtn.connect('clicked', () => this.#toggleActions(menuItem));
+            menuItem.add_child(actionsBtn);
+        }
+
+        // Pin toggle button
+        let pinBtn = new St.Button({
+            style_class: 'ci-action-btn ci-pin-btn',
+            can_focus: true,
+            child: new St.Icon({
+                icon_name: 'view-pin-symbolic',
+                style_class: 'system-status-icon'
+            }),
+            x_align: Clutter.ActorAlign.END,
+            x_expand: !canType && !canTransform(entry),
+            y_expand: true
+        });
+        if (entry.isPinned()) pinBtn.add_style_class_name('ci-pinned');
+        pinBtn.connect('clicked', () => this._togglePin(menuItem));
+        menuItem.add_child(pinBtn);
+
         // Delete button
         let deleteBtn = new St.Button({
             style_class: 'ci-action-btn',
@@ -341,14 +898,16 @@ const ClipboardIndicator = GObject.registerClass({
                 style_class: 'system-status-icon'
             }),
             x_align: Clutter.ActorAlign.END,
-            x_expand: true,
             y_expand: true
         });
         deleteBtn.connect('clicked', () => this._removeEntry(menuItem));
         menuItem.add_child(deleteBtn);
 
+        this.#updateSyncIcon(menuItem);
         this.clipItemsRadioGroup.push(menuItem);
-        this.historySection.addMenuItem(menuItem, 0);
+        this._applySearchFilter(menuItem);
+        if (this.#entryDeadline(entry) > 0) this._scheduleRetentionSweep();
+        this.#placementOf(entry).section.addMenuItem(menuItem, 0);
 
         if (autoSelect) {
             this._selectMenuItem(menuItem, autoSetClip);
@@ -359,43 +918,178 @@ const ClipboardIndicator = GObject.registerClass({
         this._updateEmptyState();
     }
 
+    /** Menu section (and its scroll view) an entry is listed in. */
+    #placementOf (entry) {
+        if (entry.isPinned())
+            return { section: this.pinnedSection, scrollView: this.pinnedScrollView };
+        if (this.#historyOf(entry) === 'primary')
+            return { section: this.primarySection, scrollView: this.primaryScrollView };
+        return { section: this.historySection, scrollView: this.historyScrollView };
+    }
+
+    /**
+     * 'primary' for entries of a separate primary selection history,
+     * 'clipboard' for everything else.  Each history has its own selected
+     * entry and size limit.
+     */
+    #historyOf (entry) {
+        return entry.isPrimary() && PRIMARY_HISTORY === 'separate' ? 'primary' : 'clipboard';
+    }
+
+    /** Empty the selection an entry was restored to, when it goes away. */
+    #clearSelectionOf (entry) {
+        const type = this.#historyOf(entry) === 'primary' ? PRIMARY_TYPE : CLIPBOARD_TYPE;
+        this.extension.clipboard.set_text(type, '');
+    }
+
+    /** Re-create every menu item, e.g. when entries move between sections. */
+    #reloadItems () {
+        const items = this.clipItemsRadioGroup;
+        this.clipItemsRadioGroup = [];
+        for (const item of items) {
+            // The selected entry of a separate primary history is not what
+            // the clipboard holds
+            const selected = item.currentlySelected &&
+                (PRIMARY_HISTORY === 'separate' || !item.entry.isPrimary());
+            item.destroy();
+            this._addEntry(item.entry, selected, false);
+        }
+    }
+
     _setEntryLabel (menuItem) {
         const { entry } = menuItem;
 
-        if (entry.isText()) {
-            let text = entry.getStringValue().replace(/\s+/g, ' ');
-            const chars = [...text];
-            if (chars.length > MAX_ENTRY_LENGTH)
-                text = chars.slice(0, MAX_ENTRY_LENGTH - 1).join('') + '...';
-            menuItem.label.set_text(text);
+        if (entry.isMasked()) {
+            menuItem.label.set_text(`•••••••• (${tr(`sensitive-${entry.sensitiveKind()}`)})`);
+        } else if (entry.isFileList()) {
+            const uris = entry.fileUris();
+            const names = uris.map(uri => Gio.File.new_for_uri(uri).get_basename() ?? uri);
+            menuItem.label.set_text(_truncate(`[${tr('files')}: ${uris.length}] ${names.join(', ')}`));
+        } else if (entry.isText()) {
+            menuItem.label.set_text(_truncate(entry.getStringValue().replace(/\s+/g, ' ')));
         } else if (entry.isImage()) {
             menuItem.label.set_text(`[${tr('image')}]`);
-            this.registry.getEntryAsImage(entry).then(img => {
-                if (!img || this._destroyed) return;
+            this.registry.getEntryIcon(entry).then(gicon => {
+                if (!gicon || this._destroyed) return;
                 // menuItem may have been destroyed while the async load was
                 // in-flight (e.g. _removeEntry called between request & response).
                 // Calling remove_child/insert_child_below on a destroyed actor
                 // throws a GJS error, so bail out early.
                 if (!menuItem.get_parent()) return;
-                img.add_style_class_name('clipboard-menu-img-preview');
+                const img = new St.Icon({ gicon, style_class: 'clipboard-menu-img-preview' });
                 if (menuItem.previewImage)
                     menuItem.remove_child(menuItem.previewImage);
                 menuItem.previewImage = img;
                 menuItem.insert_child_below(img, menuItem.label);
-            }).catch(e => console.debug('getEntryAsImage:', e));
+            }).catch(e => console.debug('getEntryIcon:', e));
+        }
+    }
+
+    // ──────────────────────── Preview ────────────────────────
+
+    _schedulePreview (menuItem, delay = PREVIEW_HOVER_DELAY) {
+        if (!ENABLE_PREVIEW) return;
+        if (this._previewTimeout) clearTimeout(this._previewTimeout);
+        this._previewTarget = menuItem;
+        this._previewTimeout = setTimeout(async () => {
+            this._previewTimeout = null;
+            const shown = () => this._previewTarget === menuItem &&
+                this.menu.isOpen && menuItem.get_parent() && menuItem.visible;
+            if (!shown()) return;
+            try {
+                // The full image is needed, not just the menu thumbnail
+                if (!(await this.registry.loadEntry(menuItem.entry)) || !shown()) return;
+                this.previewPane.show(menuItem.entry, this.menu.actor, menuItem);
+            } catch (e) {
+                this.logger.error('Preview failed', e);
+            }
+        }, delay);
+    }
+
+    _hidePreview () {
+        if (this._previewTimeout) { clearTimeout(this._previewTimeout); this._previewTimeout = null; }
+        this._previewTarget = null;
+        this.previewPane.hide();
+    }
+
+    // ──────────────────────── Search ────────────────────────
+
+    _onSearchTextChanged () {
+        const matcher = this.#buildSearchMatcher();
+        this.clipItemsRadioGroup.forEach(item => this._applySearchFilter(item, matcher));
+        this.#filterSnippets(matcher);
+    }
+
+    _applySearchFilter (menuItem, matcher = this.#buildSearchMatcher()) {
+        if (!matcher) {
+            menuItem.visible = true;
+            return;
+        }
+        const { entry } = menuItem;
+        // Match the full entry text, not the truncated menu label — except
+        // for masked secrets, which must not be discoverable by guessing.
+        const haystack = entry.isText() && !entry.isMasked()
+            ? entry.getStringValue() : menuItem.label.get_text();
+        menuItem.visible = matcher(haystack);
+    }
+
+    #buildSearchMatcher () {
+        const query = this.searchEntry?.get_text() ?? '';
+        this.searchEntry?.remove_style_class_name('ci-search-error');
+        if (!query) return null;
+
+        if (SEARCH_REGEX) {
+            let re;
+            try {
+                re = new RegExp(query, SEARCH_CASE_SENSITIVE ? 'u' : 'iu');
+            } catch (e) {
+                // Incomplete pattern while typing — flag it and keep everything visible
+                this.searchEntry.add_style_class_name('ci-search-error');
+                return null;
+            }
+            return text => re.test(text);
         }
+
+        if (SEARCH_CASE_SENSITIVE)
+            return text => text.includes(query);
+        const needle = query.toLowerCase();
+        return text => text.toLowerCase().includes(needle);
+    }
+
+    #visibleItemsInMenuOrder () {
+        return this.#itemsInMenuOrder().filter(i => i.visible);
+    }
+
+    #itemsInMenuOrder () {
+        // clipItemsRadioGroup is oldest-first; both sections show newest on
+        // top, with pinned entries above the history.
+        const items = [...this.clipItemsRadioGroup].reverse();
+        const unpinned = items.filter(i => !i.entry.isPinned());
+        return [
+            ...items.filter(i => i.entry.isPinned()),
+            ...unpinned.filter(i => this.#historyOf(i.entry) === 'clipboard'),
+            ...unpinned.filter(i => this.#historyOf(i.entry) === 'primary'),
+        ];
+    }
+
+    /** Choose an entry from the menu: select it, paste if configured, close. */
+    #pickItem (menuItem) {
+        this._selectMenuItem(menuItem);
+        if (PASTE_ON_SELECT) this.#pasteItem(menuItem);
+        this.menu.close();
     }
 
     _selectMenuItem (menuItem, autoSet = true) {
+        const history = this.#historyOf(menuItem.entry);
+        const selectionType = history === 'primary'
+            ? Meta.SelectionType.SELECTION_PRIMARY
+            : Meta.SelectionType.SELECTION_CLIPBOARD;
         for (let item of this.clipItemsRadioGroup) {
+            if (this.#historyOf(item.entry) !== history) continue;
             if (item === menuItem) {
                 item.setOrnament(PopupMenu.Ornament.DOT);
                 item.currentlySelected = true;
-                if (autoSet) {
-                    this.extension.clipboard.set_content(
-                        CLIPBOARD_TYPE, item.entry.mimetype(), item.entry.asBytes()
-                    );
-                }
+                if (autoSet) this.#setClipboard(item.entry, selectionType);
             } else {
                 item.setOrnament(PopupMenu.Ornament.NONE);
                 item.currentlySelected = false;
@@ -407,31 +1101,333 @@ const ClipboardIndicator = GObject.registerClass({
         let idx = this.clipItemsRadioGroup.indexOf(menuItem);
         if (idx < 0) return;
 
-        if (menuItem.currentlySelected)
-            this.extension.clipboard.set_text(CLIPBOARD_TYPE, '');
+        if (menuItem.currentlySelected) this.#clearSelectionOf(menuItem.entry);
 
         menuItem.destroy();
         this.clipItemsRadioGroup.splice(idx, 1);
+        this.#syncStates.delete(menuItem.entry.id());
 
-        if (menuItem.entry.isImage())
-            this.registry.deleteEntryFile(menuItem.entry);
+        this.registry.releaseEntry(menuItem.entry);
+        this.service?.emitEntryRemoved(menuItem.entry);
 
         this._updateCache();
         this._updateEmptyState();
     }
 
+    // ──────────────────────── Snippets ────────────────────────
+
+    async #loadSnippets () {
+        let snippets;
+        try {
+            snippets = await this.snippetStore.load();
+        } catch (e) {
+            this.logger.error('Cannot read snippets', e);
+            return;
+        }
+        if (!this._destroyed) this.#showSnippets(snippets);
+    }
+
+    /** Fill the snippets section: loose snippets first, then one group per folder. */
+    #showSnippets (snippets) {
+        this.snippetSection.removeAll();
+        this.snippetItems = [];
+
+        const folders = new Map();
+        for (const snippet of snippets) {
+            if (!folders.has(snippet.folder)) folders.set(snippet.folder, []);
+            folders.get(snippet.folder).push(snippet);
+        }
+        const byName = (a, b) => a.localeCompare(b);
+        for (const folder of [...folders.keys()].sort(byName)) {
+            const header = folder ? new PopupMenu.PopupSeparatorMenuItem(folder) : null;
+            if (header) this.snippetSection.addMenuItem(header);
+
+            for (const snippet of folders.get(folder).sort((a, b) => byName(snippetTitle(a), snippetTitle(b)))) {
+                const item = new PopupMenu.PopupMenuItem(_truncate(snippetTitle(snippet)));
+                item.snippet = snippet;
+                item.folderHeader = header;
+                item.insert_child_below(new St.Icon({
+                    icon_name: 'insert-text-symbolic',
+                    style_class: 'clipboard-menu-icon',
+                    y_align: Clutter.ActorAlign.CENTER
+                }), item.label);
+                item.connect('activate', () => {
+                    this.#pasteSnippet(snippet).catch(e => this.logger.error('Snippet paste failed', e));
+                });
+                item.connect('key-focus-in', () => {
+                    AnimationUtils.ensureActorVisibleInScrollView(this.snippetScrollView, item);
+                });
+                this.snippetSection.addMenuItem(item);
+                this.snippetItems.push(item);
+            }
+        }
+        this.#filterSnippets();
+    }
+
+    #filterSnippets (matcher = this.#buildSearchMatcher()) {
+        for (const item of this.snippetItems) {
+            const { folder, name, text } = item.snippet;
+            item.visible = !matcher || matcher(`${folder}\n${name}\n${text}`);
+        }
+        for (const item of this.snippetItems) {
+            if (item.folderHeader)
+                item.folderHeader.visible = this.snippetItems.some(i => i.folderHeader === item.folderHeader && i.visible);
+        }
+        const anyVisible = this.snippetItems.some(i => i.visible);
+        this._snippetHeader.visible = anyVisible;
+        this.snippetScrollView.visible = anyVisible;
+    }
+
+    /** Expand the placeholders of `snippet` and paste it, outside the history. */
+    async #pasteSnippet (snippet) {
+        this.menu.close();
+        let clipboard = '';
+        if (snippet.text.includes('{clipboard}')) {
+            const current = await this.#getClipboardContent();
+            if (current?.isText()) clipboard = current.getStringValue();
+        }
+        if (this._destroyed) return;
+
+        const { text, cursorBack } = expandSnippet(snippet.text, { clipboard });
+        const entry = new ClipboardEntry(TEXT_MIMETYPES[0], new TextEncoder().encode(text));
+        await this.#pasteItem({ entry }, { record: false, cursorBack });
+    }
+
+    // ──────────────────────── Transformations ────────────────────────
+
+    /**
+     * Show the transformations of a text item in a section right below it,
+     * or hide them if they are already showing for that item.
+     */
+    #toggleActions (menuItem) {
+        const shownFor = this._actionsItem;
+        this.#hideActions();
+        if (shownFor === menuItem) return;
+
+        const transforms = [
+            ...BUILTIN_TRANSFORMS.map(({ id, apply }) => ({ label: tr(`transform-${id}`), apply })),
+            ...CUSTOM_TRANSFORMS.map(({ name, command }) => ({
+                label: name,
+                apply: text => runCommand(command, text),
+            })),
+        ];
+        const actions = new PopupMenu.PopupMenuSection();
+        for (const transform of transforms) {
+            const item = new PopupMenu.PopupMenuItem(transform.label);
+            item.add_style_class_name('ci-transform-item');
+            item.connect('activate', () => {
+                this.#applyTransform(menuItem, transform)
+                    .catch(e => this.logger.error('Transformation failed', e));
+            });
+            actions.addMenuItem(item);
+        }
+
+        const { section } = this.#placementOf(menuItem.entry);
+        section.addMenuItem(actions, section._getMenuItems().indexOf(menuItem) + 1);
+        this._actionsSection = actions;
+        this._actionsItem = menuItem;
+        actions.firstMenuItem?.grab_key_focus();
+    }
+
+    #hideActions () {
+        this._actionsSection?.destroy();
+        this._actionsSection = null;
+        this._actionsItem = null;
+    }
+
+    /**
+     * Add the transformed text as a new entry, or in place of the original
+     * (keeping its pin), and make it the clipboard content.  Where the
+     * history may not keep it (private mode, ignored secrets) it only goes
+     * to the clipboard.
+     */
+    async #applyTransform (menuItem, transform) {
+        const { label, apply } = transform;
+        let text;
+        try {
+            text = await apply(menuItem.entry.getStringValue());
+        } catch (e) {
+            Main.notify(tr('transform-failed'), `${label}: ${e.message}`);
+            return;
+        }
+        if (this._destroyed) return;
+
+        const mimetype = TEXT_MIMETYPES[0];
+        const entry = new ClipboardEntry(mimetype, new TextEncoder().encode(text));
+        if (PRIVATE_MODE || !this.#applySensitivePolicy(entry, [mimetype])) {
+            if (await this.#setClipboard(entry) && TRANSFORM_PASTE) this.#pasteItem({ entry });
+            return;
+        }
+
+        const replaced = TRANSFORM_RESULT === 'replace' && this.clipItemsRadioGroup.includes(menuItem);
+        let pinned = replaced && menuItem.entry.isPinned();
+        if (replaced) this._removeEntry(menuItem);
+
+        let item = this.clipItemsRadioGroup.find(i => i.entry.equals(entry));
+        // The plain result stands in for an equal rich entry (plain text)
+        if (item?.entry.extraTargets().size > 0) {
+            pinned ||= item.entry.isPinned();
+            this._removeEntry(item);
+            item = null;
+        }
+        if (item) {
+            this.#mergeSensitivity(item, entry);
+            this.#touchEntry(item);
+        } else {
+            this._addEntry(entry);
+            item = this.clipItemsRadioGroup[this.clipItemsRadioGroup.length - 1];
+            this._removeOldestEntries();
+            this.service?.emitEntryAdded(entry);
+        }
+        if (pinned && !item.entry.isPinned()) {
+            this._togglePin(item);
+            item = this.clipItemsRadioGroup[this.clipItemsRadioGroup.length - 1];
+        }
+
+        this._selectMenuItem(item);
+        this._updateCache();
+        if (TRANSFORM_PASTE) this.#pasteItem(item);
+    }
+
+    _togglePin (menuItem) {
+        const idx = this.clipItemsRadioGroup.indexOf(menuItem);
+        if (idx < 0) return;
+
+        const { entry } = menuItem;
+        const wasSelected = menuItem.currentlySelected;
+        entry.setPinned(!entry.isPinned());
+
+        // Re-create the item so it lands at the top of the other section.
+        // The entry's image file is kept: only the menu item goes away.
+        menuItem.destroy();
+        this.clipItemsRadioGroup.splice(idx, 1);
+        this._addEntry(entry, wasSelected, false);
+
+        const newItem = this.clipItemsRadioGroup[this.clipItemsRadioGroup.length - 1];
+        if (this.menu.isOpen) newItem.grab_key_focus();
+
+        this._updateCache();
+    }
+
+    // ──────────────────────── Sensitive Content ────────────────────────
+
+    /**
+     * Classify a new entry and flag it according to the configured policy.
+     * @returns {boolean} false if the entry must be dropped entirely.
+     */
+    #applySensitivePolicy (entry, mimetypes) {
+        if (!SENSITIVE_DETECTION) return true;
+        const kind = this.sensitiveDetector.classify(entry, mimetypes);
+        if (!kind) return true;
+
+        this.logger.info('Sensitive content detected:', kind, 'policy:', SENSITIVE_POLICY);
+        switch (SENSITIVE_POLICY) {
+        case SensitivePolicy.IGNORE:
+            return false;
+        case SensitivePolicy.MASK:
+            entry.markSensitive(kind, true);
+            entry.setExpiresAt(Date.now() + SENSITIVE_MASK_MINUTES * 60 * 1000);
+            return true;
+        default:
+            entry.markSensitive(kind);
+            return true;
+        }
+    }
+
+    /** Carry a fresh classification over to an existing duplicate item. */
+    #mergeSensitivity (menuItem, entry) {
+        if (!entry.isSensitive() || menuItem.entry.isSensitive()) return;
+        menuItem.entry.markSensitive(entry.sensitiveKind(), entry.isMasked());
+        menuItem.entry.setExpiresAt(entry.expiresAt());
+        this._setEntryLabel(menuItem);
+        this._applySearchFilter(menuItem);
+        this._scheduleRetentionSweep();
+        this._updateCache();
+    }
+
+    // ──────────────────────── Retention ────────────────────────
+
+    /**
+     * Time (ms) at which an entry must go, or 0 if it is kept.  Masked
+     * secrets carry their own expiry; otherwise the shortest retention that
+     * applies to the entry wins.  Pinned entries are exempt from retention.
+     */
+    #entryDeadline (entry) {
+        const deadlines = [];
+        if (entry.expiresAt() > 0) deadlines.push(entry.expiresAt());
+
+        if (!entry.isPinned()) {
+            const lifetimes = [RETENTION_MINUTES];
+            if (entry.isSensitive()) lifetimes.push(SENSITIVE_RETENTION_MINUTES);
+            if (entry.isRemote()) lifetimes.push(REMOTE_RETENTION_MINUTES);
+            const minutes = Math.min(...lifetimes.filter(m => m > 0));
+            if (Number.isFinite(minutes)) deadlines.push(entry.capturedAt() + minutes * 60 * 1000);
+        }
+        return deadlines.length > 0 ? Math.min(...deadlines) : 0;
+    }
+
+    /** Re-copying an entry counts as fresh use for retention purposes. */
+    #touchEntry (menuItem) {
+        menuItem.entry.touch();
+        this._scheduleRetentionSweep();
+        this._updateCache();
+    }
+
+    _scheduleRetentionSweep () {
+        if (this._retentionTimeout) { clearTimeout(this._retentionTimeout); this._retentionTimeout = null; }
+
+        const deadlines = this.clipItemsRadioGroup
+            .map(i => this.#entryDeadline(i.entry)).filter(t => t > 0);
+        if (deadlines.length === 0) return;
+
+        // Cap at 24 h to avoid setTimeout 32-bit overflow (fires immediately
+        // when value > 2^31-1); the sweep re-arms itself.
+        const delay = Math.min(Math.max(0, Math.min(...deadlines) - Date.now()), 24 * 3600 * 1000);
+        this._retentionTimeout = setTimeout(() => {
+            this._retentionTimeout = null;
+            const now = Date.now();
+            const expired = this.clipItemsRadioGroup.filter(i => {
+                const deadline = this.#entryDeadline(i.entry);
+                return deadline > 0 && deadline <= now;
+            });
+            if (expired.length > 0) this.logger.info('Retention removed', expired.length, 'entries');
+            expired.forEach(i => this._removeEntry(i));
+            this._scheduleRetentionSweep();
+        }, delay);
+    }
+
     _removeOldestEntries () {
-        let removed = false;
-        while (this.clipItemsRadioGroup.length > MAX_REGISTRY_LENGTH) {
-            const item = this.clipItemsRadioGroup[0];
-            if (item.currentlySelected)
-                this.extension.clipboard.set_text(CLIPBOARD_TYPE, '');
+        const evict = item => {
+            if (item.currentlySelected) this.#clearSelectionOf(item.entry);
             item.destroy();
-            this.clipItemsRadioGroup.splice(0, 1);
-            if (item.entry.isImage())
-                this.registry.deleteEntryFile(item.entry);
+            this.clipItemsRadioGroup.splice(this.clipItemsRadioGroup.indexOf(item), 1);
+            this.registry.releaseEntry(item.entry);
+            this.service?.emitEntryRemoved(item.entry);
+        };
+
+        // Pinned entries never count against the history size; a separate
+        // primary selection history has a limit of its own
+        let removed = false;
+        for (const history of ['clipboard', 'primary']) {
+            const unpinned = this.clipItemsRadioGroup
+                .filter(i => !i.entry.isPinned() && this.#historyOf(i.entry) === history);
+            while (unpinned.length > MAX_REGISTRY_LENGTH) {
+                evict(unpinned.shift());
+                removed = true;
+            }
+        }
+
+        // Images over the storage budget go oldest first, pinned ones excepted
+        const images = this.clipItemsRadioGroup.filter(i => i.entry.isImage());
+        let imageBytes = images.reduce((sum, i) => sum + i.entry.byteLength(), 0);
+        for (const item of images) {
+            if (imageBytes <= MAX_IMAGE_STORAGE * 1024 * 1024) break;
+            if (item.entry.isPinned()) continue;
+            imageBytes -= item.entry.byteLength();
+            evict(item);
             removed = true;
         }
+
         if (removed) {
             // Note: caller is responsible for _updateCache()
             this._updateEmptyState();
@@ -439,14 +1435,20 @@ const ClipboardIndicator = GObject.registerClass({
     }
 
     _clearHistory () {
+        // Pinned entries survive both manual and automatic clearing
+        const pinned = [];
         for (const item of this.clipItemsRadioGroup) {
-            if (item.currentlySelected)
-                this.extension.clipboard.set_text(CLIPBOARD_TYPE, '');
-            if (item.entry.isImage())
-                this.registry.deleteEntryFile(item.entry);
+            if (item.entry.isPinned()) {
+                pinned.push(item);
+                continue;
+            }
+            if (item.currentlySelected) this.#clearSelectionOf(item.entry);
+            this.#syncStates.delete(item.entry.id());
+            this.registry.releaseEntry(item.entry);
+            this.service?.emitEntryRemoved(item.entry);
             item.destroy();
         }
-        this.clipItemsRadioGroup.length = 0;
+        this.clipItemsRadioGroup = pinned;
         this._updateCache();
         this._updateEmptyState();
     }
@@ -456,13 +1458,16 @@ const ClipboardIndicator = GObject.registerClass({
         this._cacheWriteTimeout = setTimeout(() => this._flushCache(), 300);
     }
 
-    _flushCache () {
+    _flushCache ({ sync = false } = {}) {
         if (this._cacheWriteTimeout) { clearTimeout(this._cacheWriteTimeout); this._cacheWriteTimeout = null; }
         // Do not flush before menu is fully built — clipItemsRadioGroup would
         // be empty and overwrite the persisted history with an empty list.
         if (!this._menuReady || this._destroyed) return;
+        // Private mode keeps the registry untouched; pending changes are
+        // flushed when it is switched off again.
+        if (PRIVATE_MODE) return;
         const entries = this.clipItemsRadioGroup.map(item => item.entry);
-        this.registry.write(entries);
+        this.registry.write(entries, { sync });
     }
 
     #focusNeighbor (menuItem) {
@@ -477,20 +1482,79 @@ const ClipboardIndicator = GObject.registerClass({
         const display = Shell.Global.get().get_display();
         this.selection = display.get_selection();
         this._selectionOwnerChangedId = this.selection.connect('owner-changed',
-            (sel, type, _source) => {
-                if (type === Meta.SelectionType.SELECTION_CLIPBOARD)
-                    this._refreshIndicator().catch(e => console.error('refreshIndicator:', e));
+            (sel, type, source) => {
+                if (type === Meta.SelectionType.SELECTION_PRIMARY) {
+                    this.#onPrimaryChanged(source);
+                    return;
+                }
+                if (type !== Meta.SelectionType.SELECTION_CLIPBOARD) return;
+                // Content pasted without a history entry, e.g. a snippet
+                if (source && source === this.#ownClipboardSource) return;
+
+                // Resolve the source app now: focus may move before the
+                // async content read finishes.
+                const appIds = this.#focusedAppIds();
+                if (!this.#isCaptureAllowed(appIds)) {
+                    this.logger.info('Clipboard change ignored for app:', appIds[0] ?? 'unknown');
+                    return;
+                }
+                this._refreshIndicator().catch(e => console.error('refreshIndicator:', e));
             }
         );
     }
 
+    /** Wait for the primary selection to settle, then read it. */
+    #onPrimaryChanged (source) {
+        if (!TRACK_PRIMARY && SELECTION_SYNC !== 'primary-to-clipboard') return;
+        // Entries we restored, or copied over from the clipboard, are not new
+        if (!source || source === this.#ownPrimarySource) return;
+        if (!this.#isCaptureAllowed(this.#focusedAppIds())) return;
+
+        if (this._primarySettleTimeout) clearTimeout(this._primarySettleTimeout);
+        this._primarySettleTimeout = setTimeout(() => {
+            this._primarySettleTimeout = null;
+            this._refreshPrimary().catch(e => console.error('refreshPrimary:', e));
+        }, PRIMARY_SETTLE_DELAY);
+    }
+
+    /** Normalized identifiers (app id, WM_CLASS) of the focused window. */
+    #focusedAppIds () {
+        const ids = [];
+        const app = Shell.WindowTracker.get_default().focus_app;
+        if (app?.get_id()) ids.push(app.get_id());
+
+        const win = Shell.Global.get().display.focus_window;
+        if (win) {
+            for (const id of [win.get_gtk_application_id(), win.get_wm_class(), win.get_wm_class_instance()]) {
+                if (id) ids.push(id);
+            }
+        }
+        return [...new Set(ids.map(_normalizeAppId))];
+    }
+
+    #isCaptureAllowed (appIds) {
+        if (APP_FILTER_MODE === 'allow')
+            return appIds.some(id => ALLOWED_APPS.has(id));
+        return !appIds.some(id => EXCLUDED_APPS.has(id));
+    }
+
     async _refreshIndicator () {
         if (!this._menuReady || this.#refreshInProgress || this._destroyed) return;
+        if (PRIVATE_MODE) return;
         this.#refreshInProgress = true;
 
         try {
             const entry = await this.#getClipboardContent();
-            if (!entry || this._destroyed) return;
+            // Private mode may have been switched on while the read was in flight
+            if (!entry || this._destroyed || PRIVATE_MODE) return;
+
+            const mimetypes = this.extension.clipboard.get_mimetypes(CLIPBOARD_TYPE);
+            if (!this.#applySensitivePolicy(entry, mimetypes)) return;
+
+            // Secrets stay out of the primary selection: password managers
+            // only clear the clipboard after a while
+            if (SELECTION_SYNC === 'clipboard-to-primary' && !entry.isSensitive())
+                this.#setClipboard(entry, Meta.SelectionType.SELECTION_PRIMARY);
 
             // Content-based loop prevention
             const isFromRemote = this.#lastReceivedHash !== null &&
@@ -499,8 +1563,18 @@ const ClipboardIndicator = GObject.registerClass({
             // Deduplicate: if already in history, just select it
             for (let item of this.clipItemsRadioGroup) {
                 if (item.entry.equals(entry)) {
+                    this.#mergeSensitivity(item, entry);
+                    // Keep the richer copy if this one brought more flavors
+                    if (entry.extraTargets().size > item.entry.extraTargets().size) {
+                        // Stored by the write that #touchEntry() schedules
+                        item.entry.setExtraTargets(entry.extraTargets());
+                        this._setEntryLabel(item);
+                    }
+                    this.#touchEntry(item);
                     this._selectMenuItem(item, false);
-                    if (!isFromRemote) this.sync?.send(entry.mimetype(), entry.rawBytes());
+                    // Secrets never leave this machine
+                    if (!isFromRemote && !item.entry.isSensitive())
+                        this.#sendToRemote(item.entry, entry);
                     return;
                 }
             }
@@ -509,10 +1583,11 @@ const ClipboardIndicator = GObject.registerClass({
             this._addEntry(entry, true, false);
             this._removeOldestEntries();
             this._updateCache();
+            this.service?.emitEntryAdded(entry);
 
             this.logger.info('New clipboard entry:',
                 entry.isText() ? `text(${entry.getStringValue().length} chars)` : entry.mimetype());
-            if (!isFromRemote) this.sync?.send(entry.mimetype(), entry.rawBytes());
+            if (!isFromRemote && !entry.isSensitive()) this.#sendToRemote(entry);
         } catch (e) {
             console.error('Clipboard Indicator: refresh error', e);
             this.logger.error('Refresh error', e);
@@ -521,158 +1596,265 @@ const ClipboardIndicator = GObject.registerClass({
         }
     }
 
-    async #getClipboardContent () {
-        const mimetypes = [
-            'text/plain;charset=utf-8',
-            'UTF8_STRING',
-            'text/plain',
-            'STRING',
-            'image/png',
-            'image/jpeg',
-            'image/gif',
-            'image/webp',
-        ];
-
-        for (let type of mimetypes) {
-            let result = await Promise.race([
-                new Promise(resolve => {
-                    this.extension.clipboard.get_content(CLIPBOARD_TYPE, type, (cb, bytes) => {
-                        if (!bytes || bytes.get_size() === 0) { resolve(null); return; }
+    async _refreshPrimary () {
+        if (!this._menuReady || this.#primaryRefreshInProgress || this._destroyed) return;
+        if (PRIVATE_MODE) return;
+        this.#primaryRefreshInProgress = true;
 
-                        // Workaround: GNOME mangles mimetype on 2nd+ copy
-                        if (type === 'UTF8_STRING') type = 'text/plain;charset=utf-8';
+        try {
+            const entry = await this.#getClipboardContent(PRIMARY_TYPE);
+            if (!entry || this._destroyed || PRIVATE_MODE) return;
+            entry.markPrimary();
 
-                        resolve(new ClipboardEntry(type, bytes.get_data()));
-                    });
-                }),
-                // Safety timeout: if the clipboard owner crashes and the callback
-                // never fires, this prevents #refreshInProgress from being stuck
-                // true forever (which would permanently stall clipboard monitoring).
-                new Promise(resolve => setTimeout(() => resolve(null), 1500)),
-            ]);
-            if (result) return result;
+            // The clipboard listener then records it like any other copy
+            if (SELECTION_SYNC === 'primary-to-clipboard') await this.#setClipboard(entry);
+            if (TRACK_PRIMARY) this.#recordPrimary(entry);
+        } catch (e) {
+            console.error('Clipboard Indicator: primary selection error', e);
+            this.logger.error('Primary selection error', e);
+        } finally {
+            this.#primaryRefreshInProgress = false;
         }
-        return null;
     }
 
-    // ──────────────────────── Auto-Clear Timer ────────────────────────
-
-    _setupAutoClear () {
-        this._fetchSettings();
-
-        // Clean up old listeners
-        if (this._autoClearSettingId) {
-            this.extension.settings.disconnect(this._autoClearSettingId);
-            this._autoClearSettingId = null;
+    /** Add a settled primary selection to the history. */
+    #recordPrimary (entry) {
+        const mimetypes = this.extension.clipboard.get_mimetypes(PRIMARY_TYPE);
+        if (!this.#applySensitivePolicy(entry, mimetypes)) return;
+
+        const history = this.#historyOf(entry);
+        const items = this.clipItemsRadioGroup.filter(i => this.#historyOf(i.entry) === history);
+        const existing = items.find(i => i.entry.equals(entry));
+        if (existing) {
+            this.#mergeSensitivity(existing, entry);
+            this.#touchEntry(existing);
+            if (history === 'primary') this._selectMenuItem(existing, false);
+            return;
         }
-        this._autoClearSettingId = this.extension.settings.connect(
-            `changed::${PrefsFields.AUTO_CLEAR_HOURS}`,
-            () => this._setupAutoClear()
-        );
 
-        if (this._clearTimeoutId) { clearTimeout(this._clearTimeoutId); this._clearTimeoutId = null; }
+        // A selection extended by shift-click or a second drag replaces
+        // the shorter one instead of piling up partial entries
+        const last = [...items].reverse().find(i => i.entry.isPrimary() && !i.entry.isPinned());
+        const text = entry.getStringValue();
+        const grown = last && (history === 'primary' || !last.currentlySelected) &&
+            Date.now() - last.entry.capturedAt() < PRIMARY_MERGE_WINDOW &&
+            (text.startsWith(last.entry.getStringValue()) || text.endsWith(last.entry.getStringValue()));
+
+        // A separate history tracks what is currently selected
+        this._addEntry(entry, history === 'primary', false);
+        if (grown) this._removeEntry(last);
+        this._removeOldestEntries();
+        this._updateCache();
+        this.service?.emitEntryAdded(entry);
+        this.logger.info('New primary selection entry:', `text(${text.length} chars)`);
+    }
 
-        if (AUTO_CLEAR_HOURS <= 0) {
-            this.extension.settings.set_int(PrefsFields.NEXT_CLEAR_TIME, -1);
-            return;
-        }
+    /**
+     * Read the clipboard or the primary selection.  Only text is taken from
+     * the primary selection, without extra flavors: middle-click paste is
+     * about text.
+     */
+    async #getClipboardContent (clipboardType = CLIPBOARD_TYPE) {
+        const mimetypes = clipboardType === PRIMARY_TYPE ? TEXT_MIMETYPES : [
+            ...TEXT_MIMETYPES,
+            'image/png',
+            'image/jpeg',
+            'image/gif',
+            'image/webp',
+            // Some file managers offer nothing but the URI list
+            'text/uri-list',
+        ];
 
-        const now = Math.ceil(Date.now() / 1000);
+        let entry = null;
+        for (let type of mimetypes) {
+            const bytes = await this.#readTarget(type, clipboardType);
+            if (!bytes) continue;
+
+            // Workaround: GNOME mangles mimetype on 2nd+ copy
+            if (type === 'UTF8_STRING') type = 'text/plain;charset=utf-8';
 
-        if (NEXT_CLEAR_TIME > 0 && NEXT_CLEAR_TIME < now) {
-            // Timer expired while extension was off
-            this._clearHistory();
-            NEXT_CLEAR_TIME = now + AUTO_CLEAR_HOURS * 3600;
-        } else if (NEXT_CLEAR_TIME <= 0) {
-            // No timer set yet
-            NEXT_CLEAR_TIME = now + AUTO_CLEAR_HOURS * 3600;
+            entry = new ClipboardEntry(type, bytes);
+            break;
         }
-        // else: existing timer still valid
 
-        this.extension.settings.set_int(PrefsFields.NEXT_CLEAR_TIME, NEXT_CLEAR_TIME);
+        if (entry && CAPTURE_RICH_CONTENT && clipboardType === CLIPBOARD_TYPE)
+            entry.setExtraTargets(await this.#getExtraTargets(entry));
+        return entry;
+    }
 
-        const remainMs = Math.max(0, (NEXT_CLEAR_TIME - now) * 1000);
-        // Cap at 24 h to avoid setTimeout 32-bit overflow (fires immediately
-        // when value > 2^31-1). _updateTimer re-checks on each tick.
-        const safeMs = Math.min(remainMs, 24 * 3600 * 1000);
-        this._clearTimeoutId = setTimeout(() => {
-            const nowS = Math.ceil(Date.now() / 1000);
-            if (NEXT_CLEAR_TIME > 0 && NEXT_CLEAR_TIME <= nowS) {
-                this._clearHistory();
-                this._scheduleNextClear();
-            } else {
-                // Not yet expired — re-arm with capped delay
-                this._setupAutoClear();
+    /** Every other flavor the owner offers, within the configured size limit. */
+    async #getExtraTargets (entry) {
+        const maxBytes = RICH_CONTENT_MAX_KB * 1024;
+        const wanted = this.extension.clipboard.get_mimetypes(CLIPBOARD_TYPE)
+            .filter(type => _isExtraTarget(type, entry.mimetype()))
+            .slice(0, MAX_EXTRA_TARGETS);
+
+        const results = await Promise.all(wanted.map(type => this.#readTarget(type)));
+        const targets = new Map();
+        wanted.forEach((type, i) => {
+            const bytes = results[i];
+            if (!bytes) return;
+            if (bytes.length > maxBytes) {
+                this.logger.info('Extra target too large, skipped:', type, `(${bytes.length} bytes)`);
+                return;
             }
-        }, safeMs);
+            targets.set(type, bytes);
+        });
+        return targets;
     }
 
-    _scheduleNextClear () {
-        if (this._clearTimeoutId) clearTimeout(this._clearTimeoutId);
+    /** @returns {Promise<Uint8Array|null>} */
+    #readTarget (type, clipboardType = CLIPBOARD_TYPE) {
+        return Promise.race([
+            new Promise(resolve => {
+                this.extension.clipboard.get_content(clipboardType, type, (cb, bytes) => {
+                    if (!bytes || bytes.get_size() === 0) { resolve(null); return; }
+                    resolve(bytes.get_data());
+                });
+            }),
+            // Safety timeout: if the clipboard owner crashes and the callback
+            // never fires, this prevents #refreshInProgress from being stuck
+            // true forever (which would permanently stall clipboard monitoring).
+            new Promise(resolve => setTimeout(() => resolve(null), 1500)),
+        ]);
+    }
 
-        if (AUTO_CLEAR_HOURS <= 0) {
-            return;
+    /**
+     * Put an entry on the clipboard, or the primary selection, with all of
+     * its flavors.  St.Clipboard only offers one mimetype, so multi-flavor
+     * entries use our own source.  Image data that was dropped from memory
+     * is read back first.
+     * @param {Meta.SelectionType} selectionType  The clipboard or the primary selection
+     * @param {{record?: boolean}} options  With `record` false the listener
+     *        does not add the entry to the history
+     * @returns {Promise<boolean>} false if the entry data is gone
+     */
+    async #setClipboard (entry, selectionType = Meta.SelectionType.SELECTION_CLIPBOARD, { record = true } = {}) {
+        if (!(await this.registry.loadEntry(entry))) {
+            this.logger.error('Cannot read back entry data', entry.id());
+            return false;
         }
+        if (this._destroyed) return false;
 
-        const now = Math.ceil(Date.now() / 1000);
-        NEXT_CLEAR_TIME = now + AUTO_CLEAR_HOURS * 3600;
-        this.extension.settings.set_int(PrefsFields.NEXT_CLEAR_TIME, NEXT_CLEAR_TIME);
+        const extra = entry.extraTargets();
+        const primary = selectionType === Meta.SelectionType.SELECTION_PRIMARY;
+        if (extra.size === 0 && !primary && record) {
+            this.extension.clipboard.set_content(CLIPBOARD_TYPE, entry.mimetype(), entry.asBytes());
+            return true;
+        }
 
-        const scheduleMs = Math.min(AUTO_CLEAR_HOURS * 3600 * 1000, 24 * 3600 * 1000);
-        this._clearTimeoutId = setTimeout(() => {
-            const nowS = Math.ceil(Date.now() / 1000);
-            if (NEXT_CLEAR_TIME > 0 && NEXT_CLEAR_TIME <= nowS) {
-                this._clearHistory();
-                this._scheduleNextClear();
-            } else {
-                this._setupAutoClear();
-            }
-        }, scheduleMs);
+        const targets = new Map([[entry.mimetype(), entry.rawBytes()]]);
+        if (entry.isText() && !targets.has('text/plain'))
+            targets.set('text/plain', entry.rawBytes());
+        for (const [type, bytes] of extra) targets.set(type, bytes);
+
+        const source = new MultiTargetSource(targets);
+        // Recognized by the listener, which must not record it again
+        if (primary) this.#ownPrimarySource = source;
+        else if (!record) this.#ownClipboardSource = source;
+        Shell.Global.get().display.get_selection().set_owner(selectionType, source);
+        return true;
     }
 
     // ──────────────────────── Paste ────────────────────────
 
-    #pasteItem (menuItem) {
+    /**
+     * Paste the entry of `menuItem` into the focused window.  `record` as
+     * for #setClipboard(); `cursorBack` moves the cursor that many
+     * characters back afterwards.
+     */
+    async #pasteItem (menuItem, { record = true, cursorBack = 0 } = {}) {
         this.menu.close();
-        const selected = this.clipItemsRadioGroup.find(i => i.currentlySelected);
+        const { entry } = menuItem;
+        const selected = this.clipItemsRadioGroup
+            .find(i => i.currentlySelected && this.#historyOf(i.entry) === 'clipboard');
+        // The shell menu does not take window focus, so this is the target
+        const method = this.#pasteMethodFor(entry);
+        // Typing leaves the clipboard alone
+        if (method === PasteMethod.TYPE) {
+            this.#typeOut(menuItem, cursorBack);
+            return;
+        }
 
         // Set clipboard to the item to paste
-        this.extension.clipboard.set_content(
-            CLIPBOARD_TYPE, menuItem.entry.mimetype(), menuItem.entry.asBytes()
-        );
+        if (!(await this.#setClipboard(entry, Meta.SelectionType.SELECTION_CLIPBOARD, { record })) ||
+            this._destroyed)
+            return;
 
         this._pasteKeypressTimeout = setTimeout(() => {
-            if (this.keyboard.purpose === Clutter.InputContentPurpose.TERMINAL) {
-                this.keyboard.press(Clutter.KEY_Control_L);
-                this.keyboard.press(Clutter.KEY_Shift_L);
-                this.keyboard.press(Clutter.KEY_Insert);
-                this.keyboard.release(Clutter.KEY_Insert);
-                this.keyboard.release(Clutter.KEY_Shift_L);
-                this.keyboard.release(Clutter.KEY_Control_L);
-            } else {
-                this.keyboard.press(Clutter.KEY_Shift_L);
-                this.keyboard.press(Clutter.KEY_Insert);
-                this.keyboard.release(Clutter.KEY_Insert);
-                this.keyboard.release(Clutter.KEY_Shift_L);
-            }
+            this._pasteKeypressTimeout = null;
+            this.keyboard.chord(this.#pasteKeys(method));
+            const restore = RESTORE_AFTER_PASTE && selected?.entry;
+            if (!restore && cursorBack === 0) return;
 
-            // Restore previous clipboard selection
+            // Move the cursor and restore the previous clipboard selection
+            // once the target had time to read and insert the pasted one
             this._pasteResetTimeout = setTimeout(() => {
-                // #clearTimeouts() may have already fired during the 50 ms
-                // gap between _pasteKeypressTimeout and _pasteResetTimeout.
+                this._pasteResetTimeout = null;
+                // #clearTimeouts() may have already fired during the gap
+                // between _pasteKeypressTimeout and _pasteResetTimeout.
                 if (this._destroyed) return;
-                if (selected && selected.entry) {
-                    this.extension.clipboard.set_content(
-                        CLIPBOARD_TYPE, selected.entry.mimetype(), selected.entry.asBytes()
-                    );
-                }
-            }, 50);
-        }, 50);
+                this.#moveCursorBack(cursorBack);
+                if (restore) this.#setClipboard(selected.entry);
+            }, PASTE_RESTORE_DELAY_MS);
+        }, PASTE_DELAY_MS);
+    }
+
+    #moveCursorBack (count) {
+        for (let i = 0; i < count; i++) this.keyboard.chord([Clutter.KEY_Left]);
+    }
+
+    /**
+     * First method of the focused application's paste rule that can handle
+     * `entry`, or the default method.
+     */
+    #pasteMethodFor (entry) {
+        const appId = this.#focusedAppIds().find(id => PASTE_RULES.has(id));
+        const methods = appId ? PASTE_RULES.get(appId) : [PASTE_METHOD];
+        return methods.find(method => canPasteWith(method, entry)) ?? PasteMethod.AUTO;
+    }
+
+    /**
+     * Type the text of `menuItem` into the focused window key by key, for
+     * fields that refuse pasting.  Typing stops on the cancel shortcut or
+     * when another window gets the focus.
+     */
+    #typeOut (menuItem, cursorBack = 0) {
+        this.menu.close();
+        const { entry } = menuItem;
+        if (!canPasteWith(PasteMethod.TYPE, entry)) return;
+
+        // Let the menu close and the focus return to the window first
+        if (this._typeOutTimeout) clearTimeout(this._typeOutTimeout);
+        this._typeOutTimeout = setTimeout(async () => {
+            this._typeOutTimeout = null;
+            const display = Shell.Global.get().display;
+            const focusId = display.connect('notify::focus-window', () => this.keyboard.cancel());
+            try {
+                const text = entry.getStringValue();
+                if (await this.keyboard.type(text, TYPE_OUT_INTERVAL_MS))
+                    this.#moveCursorBack(cursorBack);
+                else if (!this._destroyed)
+                    this.logger.info('Typing out cancelled');
+            } catch (e) {
+                this.logger.error('Typing out failed', e);
+            } finally {
+                display.disconnect(focusId);
+            }
+        }, PASTE_DELAY_MS);
+    }
+
+    #pasteKeys (method) {
+        if (method !== PasteMethod.AUTO) return PASTE_KEYS[method];
+        return this.keyboard.purpose === Clutter.InputContentPurpose.TERMINAL
+            ? [Clutter.KEY_Control_L, Clutter.KEY_Shift_L, Clutter.KEY_Insert]
+            : [Clutter.KEY_Shift_L, Clutter.KEY_Insert];
     }
 
     // ──────────────────────── Settings ────────────────────────
 
     _loadSettings () {
+        this.#migrateAutoClear();
         this._settingsChangedId = this.extension.settings.connect('changed',
             () => this._onSettingsChange()
         );
@@ -680,17 +1862,74 @@ const ClipboardIndicator = GObject.registerClass({
         if (ENABLE_KEYBINDING) this._bindShortcuts();
     }
 
+    /** One-time move from the old all-or-nothing auto-clear interval. */
+    #migrateAutoClear () {
+        const s = this.extension.settings;
+        const hours = s.get_int(PrefsFields.AUTO_CLEAR_HOURS);
+        if (hours <= 0) return;
+        if (s.get_int(PrefsFields.RETENTION_MINUTES) === 0)
+            s.set_int(PrefsFields.RETENTION_MINUTES, hours * 60);
+        s.set_int(PrefsFields.AUTO_CLEAR_HOURS, 0);
+    }
+
     _fetchSettings () {
         const s = this.extension.settings;
         MAX_REGISTRY_LENGTH = s.get_int(PrefsFields.HISTORY_SIZE);
         MAX_ENTRY_LENGTH    = s.get_int(PrefsFields.PREVIEW_SIZE);
         MAX_CACHE_SIZE      = s.get_int(PrefsFields.CACHE_FILE_SIZE);
+        this.registry.setSizeLimit(MAX_CACHE_SIZE);
+        MAX_IMAGE_STORAGE   = s.get_int(PrefsFields.IMAGE_STORAGE_SIZE);
+        ENCRYPT_HISTORY     = s.get_boolean(PrefsFields.ENCRYPT_HISTORY);
+        CAPTURE_RICH_CONTENT = s.get_boolean(PrefsFields.CAPTURE_RICH_CONTENT);
+        RICH_CONTENT_MAX_KB = s.get_int(PrefsFields.RICH_CONTENT_MAX_KB);
         PASTE_ON_SELECT     = s.get_boolean(PrefsFields.PASTE_ON_SELECT);
+        PASTE_METHOD        = s.get_string(PrefsFields.PASTE_METHOD);
+        PASTE_RULES         = new Map(s.get_strv(PrefsFields.PASTE_RULES)
+            .map(parsePasteRule).filter(Boolean)
+            .map(({ app, methods }) => [_normalizeAppId(app), methods]));
+        PASTE_DELAY_MS      = s.get_int(PrefsFields.PASTE_DELAY);
+        PASTE_RESTORE_DELAY_MS = s.get_int(PrefsFields.PASTE_RESTORE_DELAY);
+        RESTORE_AFTER_PASTE = s.get_boolean(PrefsFields.RESTORE_AFTER_PASTE);
+        TYPE_OUT_INTERVAL_MS = s.get_int(PrefsFields.TYPE_OUT_INTERVAL);
+        TRANSFORM_RESULT    = s.get_string(PrefsFields.TRANSFORM_RESULT);
+        TRANSFORM_PASTE     = s.get_boolean(PrefsFields.TRANSFORM_PASTE);
+        CUSTOM_TRANSFORMS   = s.get_strv(PrefsFields.CUSTOM_TRANSFORMS)
+            .map(parseCustomTransform).filter(Boolean);
+        ENABLE_PREVIEW      = s.get_boolean(PrefsFields.ENABLE_PREVIEW);
         ENABLE_KEYBINDING   = s.get_boolean(PrefsFields.ENABLE_KEYBINDING);
-        AUTO_CLEAR_HOURS    = s.get_int(PrefsFields.AUTO_CLEAR_HOURS);
-        NEXT_CLEAR_TIME     = s.get_int(PrefsFields.NEXT_CLEAR_TIME);
+        RETENTION_MINUTES   = s.get_int(PrefsFields.RETENTION_MINUTES);
+        SENSITIVE_RETENTION_MINUTES = s.get_int(PrefsFields.SENSITIVE_RETENTION_MINUTES);
+        REMOTE_RETENTION_MINUTES = s.get_int(PrefsFields.REMOTE_RETENTION_MINUTES);
         SYNC_ENABLED        = s.get_boolean(PrefsFields.SYNC_ENABLED);
+        SYNC_QUEUE_PERSIST  = s.get_boolean(PrefsFields.SYNC_QUEUE_PERSIST);
+        SYNC_KDECONNECT     = s.get_boolean(PrefsFields.SYNC_KDECONNECT);
+        SYNC_DBUS           = s.get_boolean(PrefsFields.SYNC_DBUS);
+        SYNC_DBUS_NAME      = s.get_string(PrefsFields.SYNC_DBUS_NAME).trim();
+        SYNC_DBUS_PATH      = s.get_string(PrefsFields.SYNC_DBUS_PATH).trim();
+        SYNC_DBUS_INTERFACE = s.get_string(PrefsFields.SYNC_DBUS_INTERFACE).trim();
+        SYNC_FOLDER         = s.get_boolean(PrefsFields.SYNC_FOLDER);
+        SYNC_FOLDER_PATH    = s.get_string(PrefsFields.SYNC_FOLDER_PATH).trim();
+        SYNC_SEND           = s.get_boolean(PrefsFields.SYNC_SEND);
+        SYNC_RECEIVE        = s.get_boolean(PrefsFields.SYNC_RECEIVE);
+        SYNC_SEND_TYPES     = new Set(s.get_strv(PrefsFields.SYNC_SEND_TYPES));
+        SYNC_RECEIVE_TYPES  = new Set(s.get_strv(PrefsFields.SYNC_RECEIVE_TYPES));
+        SYNC_SEND_MAX_KB    = s.get_int(PrefsFields.SYNC_SEND_MAX_KB);
+        SYNC_RECEIVE_MAX_KB = s.get_int(PrefsFields.SYNC_RECEIVE_MAX_KB);
+        SYNC_RECEIVE_MODE   = s.get_string(PrefsFields.SYNC_RECEIVE_MODE);
         ENABLE_LOGGING      = s.get_boolean(PrefsFields.ENABLE_LOGGING);
+        PRIVATE_MODE        = s.get_boolean(PrefsFields.PRIVATE_MODE);
+        SEARCH_REGEX        = s.get_boolean(PrefsFields.SEARCH_REGEX);
+        SEARCH_CASE_SENSITIVE = s.get_boolean(PrefsFields.SEARCH_CASE_SENSITIVE);
+        SENSITIVE_DETECTION = s.get_boolean(PrefsFields.SENSITIVE_DETECTION);
+        SENSITIVE_POLICY    = s.get_string(PrefsFields.SENSITIVE_POLICY);
+        SENSITIVE_MASK_MINUTES = s.get_int(PrefsFields.SENSITIVE_MASK_MINUTES);
+        APP_FILTER_MODE     = s.get_string(PrefsFields.APP_FILTER_MODE);
+        EXCLUDED_APPS       = new Set(s.get_strv(PrefsFields.EXCLUDED_APPS).map(_normalizeAppId));
+        ALLOWED_APPS        = new Set(s.get_strv(PrefsFields.ALLOWED_APPS).map(_normalizeAppId));
+        TRACK_PRIMARY       = s.get_boolean(PrefsFields.TRACK_PRIMARY);
+        PRIMARY_HISTORY     = s.get_string(PrefsFields.PRIMARY_HISTORY);
+        SELECTION_SYNC      = s.get_string(PrefsFields.SELECTION_SYNC);
+        this.sensitiveDetector.setUserPatterns(s.get_strv(PrefsFields.SENSITIVE_PATTERNS));
 
         setLanguage(s.get_string(PrefsFields.LANGUAGE));
     }
@@ -699,16 +1938,36 @@ const ClipboardIndicator = GObject.registerClass({
         // Guard: menu may still be building on first async load;
         // flushing here would write an empty registry and wipe history.
         if (!this._menuReady) return;
+        const wasPrivate = PRIVATE_MODE;
+        const wasEncrypted = ENCRYPT_HISTORY;
+        const primaryHistory = PRIMARY_HISTORY;
         this._fetchSettings();
+        // Primary selection entries move between the shared and their own section
+        if (primaryHistory !== PRIMARY_HISTORY) this.#reloadItems();
         this._removeOldestEntries();
         this._updateCache();
 
+        if (wasPrivate !== PRIVATE_MODE) {
+            this.logger.info('Private mode', PRIVATE_MODE ? 'enabled' : 'disabled');
+            this._updatePrivateModeUI();
+        }
+
+        if (wasEncrypted !== ENCRYPT_HISTORY) this._applyEncryptionSetting();
+
+        if (!ENABLE_PREVIEW) this._hidePreview();
+
         // Refresh entry labels in case preview size changed
         this.clipItemsRadioGroup.forEach(item => this._setEntryLabel(item));
 
+        // Search modes may have changed
+        this._onSearchTextChanged();
+
+        // Retention periods may have changed
+        this._scheduleRetentionSweep();
+
         // Update sync module
-        this.sync?.updateSettings({ enabled: SYNC_ENABLED });
-        this._updateSyncUI(this.sync?.state ?? 'disconnected');
+        this.sync?.updateSettings(this.#syncSettings());
+        this._updateSyncUI();
 
         // Update logger
         this.logger.setEnabled(ENABLE_LOGGING);
@@ -721,11 +1980,29 @@ const ClipboardIndicator = GObject.registerClass({
         this._updateLabels();
     }
 
+    _updatePrivateModeUI () {
+        this._panelIcon.icon_name = PRIVATE_MODE ? PRIVATE_MODE_ICON : INDICATOR_ICON;
+        if (PRIVATE_MODE)
+            this._panelIcon.add_style_class_name('ci-private-mode');
+        else
+            this._panelIcon.remove_style_class_name('ci-private-mode');
+
+        // Avoid re-entering the settings write from the switch's own signal
+        if (this._privateModeItem && this._privateModeItem.state !== PRIVATE_MODE)
+            this._privateModeItem.setToggleState(PRIVATE_MODE);
+    }
+
     _updateLabels () {
+        if (this.searchEntry) this.searchEntry.hint_text = tr('search-hint');
+        this._privateModeItem?.label?.set_text(tr('private-mode'));
+        this._keyWarningItem?.label?.set_text(tr('history-locked'));
+        this._keyResetItem?.label?.set_text(tr('history-locked-reset'));
+        this._cancelTransferItem?.label?.set_text(tr('sync-cancel-transfer'));
         this.clearMenuItem?.label?.set_text(tr('clear-history'));
+        this._primaryHeader?.label?.set_text(tr('primary-selection'));
         this.settingsMenuItem?.label?.set_text(tr('settings'));
         if (this._emptyLabel) this._emptyLabel.set_text(tr('clipboard-empty'));
-        this._updateSyncUI(this.sync?.state ?? 'disconnected');
+        this._updateSyncUI();
     }
 
     // ──────────────────────── Shortcuts ────────────────────────
@@ -733,14 +2010,59 @@ const ClipboardIndicator = GObject.registerClass({
     _bindShortcuts () {
         this._unbindShortcuts();
 
-        Main.wm.addKeybinding(
-            PrefsFields.BINDING_TOGGLE_MENU,
-            this.extension.settings,
-            Meta.KeyBindingFlags.NONE,
-            Shell.ActionMode.ALL,
-            () => this.menu.toggle()
-        );
-        this._shortcutsBindingIds.push(PrefsFields.BINDING_TOGGLE_MENU);
+        this.#addKeybinding(PrefsFields.BINDING_TOGGLE_MENU, () => {
+            this._focusSearchOnOpen = !this.menu.isOpen;
+            this.menu.toggle();
+        });
+        this.#addKeybinding(PrefsFields.BINDING_PRIVATE_MODE,
+            () => this.extension.settings.set_boolean(PrefsFields.PRIVATE_MODE, !PRIVATE_MODE));
+
+        // Pasting and cycling make no sense on the lock or login screen
+        const appMode = Shell.ActionMode.NORMAL | Shell.ActionMode.OVERVIEW;
+        PASTE_RECENT_BINDINGS.forEach((name, i) =>
+            this.#addKeybinding(name, () => this.#quickPaste(i, false), appMode));
+        PASTE_PINNED_BINDINGS.forEach((name, i) =>
+            this.#addKeybinding(name, () => this.#quickPaste(i, true), appMode));
+        this.#addKeybinding(PrefsFields.BINDING_CYCLE_PREVIOUS, () => this.#cycleClipboard(1), appMode);
+        this.#addKeybinding(PrefsFields.BINDING_CYCLE_NEXT, () => this.#cycleClipboard(-1), appMode);
+        this.#addKeybinding(PrefsFields.BINDING_TYPE_OUT, () => {
+            const item = this._menuReady && this.clipItemsRadioGroup
+                .find(i => i.currentlySelected && this.#historyOf(i.entry) === 'clipboard');
+            if (item) this.#typeOut(item);
+        }, appMode);
+        this.#addKeybinding(PrefsFields.BINDING_CANCEL_TYPE_OUT, () => this.keyboard.cancel());
+    }
+
+    #addKeybinding (name, handler, mode = Shell.ActionMode.ALL) {
+        Main.wm.addKeybinding(name, this.extension.settings, Meta.KeyBindingFlags.NONE, mode, handler);
+        this._shortcutsBindingIds.push(name);
+    }
+
+    /** Paste the nth (from 0) unpinned or pinned entry, as listed in the menu. */
+    #quickPaste (index, pinned) {
+        if (!this._menuReady) return;
+        const item = this.#itemsInMenuOrder().filter(i => pinned
+            ? i.entry.isPinned()
+            : !i.entry.isPinned() && this.#historyOf(i.entry) === 'clipboard')[index];
+        if (item) this.#pasteItem(item);
+    }
+
+    /**
+     * Make the next older (step 1) or newer (step -1) entry the clipboard
+     * content and show which one it is.
+     */
+    #cycleClipboard (step) {
+        if (!this._menuReady) return;
+        const items = this.#itemsInMenuOrder().filter(i => this.#historyOf(i.entry) === 'clipboard');
+        if (items.length === 0) return;
+
+        const current = items.findIndex(i => i.currentlySelected);
+        const item = items[current < 0 ? 0 : (current + step + items.length) % items.length];
+        this._selectMenuItem(item);
+
+        const gicon = item.previewImage?.gicon ?? new Gio.ThemedIcon({ name: INDICATOR_ICON });
+        Main.osdWindowManager.showOne(Shell.Global.get().display.get_current_monitor(),
+            gicon, item.label.get_text());
     }
 
     _unbindShortcuts () {
@@ -755,10 +2077,6 @@ const ClipboardIndicator = GObject.registerClass({
             this.extension.settings.disconnect(this._settingsChangedId);
             this._settingsChangedId = null;
         }
-        if (this._autoClearSettingId) {
-            this.extension.settings.disconnect(this._autoClearSettingId);
-            this._autoClearSettingId = null;
-        }
     }
 
     _disconnectSelectionListener () {
@@ -770,9 +2088,42 @@ const ClipboardIndicator = GObject.registerClass({
 
     #clearTimeouts () {
         if (this._cacheWriteTimeout) { clearTimeout(this._cacheWriteTimeout); this._cacheWriteTimeout = null; }
-        if (this._clearTimeoutId) { clearTimeout(this._clearTimeoutId); this._clearTimeoutId = null; }
         if (this._pasteKeypressTimeout) { clearTimeout(this._pasteKeypressTimeout); this._pasteKeypressTimeout = null; }
         if (this._pasteResetTimeout) { clearTimeout(this._pasteResetTimeout); this._pasteResetTimeout = null; }
         if (this._remoteHashTimeout) { clearTimeout(this._remoteHashTimeout); this._remoteHashTimeout = null; }
+        if (this._searchFocusTimeout) { clearTimeout(this._searchFocusTimeout); this._searchFocusTimeout = null; }
+        if (this._retentionTimeout) { clearTimeout(this._retentionTimeout); this._retentionTimeout = null; }
+        if (this._previewTimeout) { clearTimeout(this._previewTimeout); this._previewTimeout = null; }
+        if (this._primarySettleTimeout) { clearTimeout(this._primarySettleTimeout); this._primarySettleTimeout = null; }
+        if (this._typeOutTimeout) { clearTimeout(this._typeOutTimeout); this._typeOutTimeout = null; }
     }
 });
+
+/** 1–9 for a digit key on the main keyboard or the keypad, else 0. */
+function _digitOf (keysym) {
+    if (keysym >= Clutter.KEY_1 && keysym <= Clutter.KEY_9) return keysym - Clutter.KEY_1 + 1;
+    if (keysym >= Clutter.KEY_KP_1 && keysym <= Clutter.KEY_KP_9) return keysym - Clutter.KEY_KP_1 + 1;
+    return 0;
+}
+
+/** App ids and WM_CLASS values compare case-insensitively, without ".desktop". */
+function _normalizeAppId (id) {
+    return id.toLowerCase().replace(/\.desktop$/, '');
+}
+
+/** Shorten a one-line label to the configured preview length. */
+function _truncate (text) {
+    const chars = [...text];
+    if (chars.length <= MAX_ENTRY_LENGTH) return text;
+    return chars.slice(0, MAX_ENTRY_LENGTH - 1).join('') + '...';
+}
+
+/**
+ * Whether an offered target is worth storing next to the primary flavor.
+ * X11 meta targets (TARGETS, TIMESTAMP, …) have no slash; plain-text and
+ * image conversions of the same content would only multiply its size.
+ */
+function _isExtraTarget (mimetype, primary) {
+    if (mimetype === primary || !mimetype.includes('/')) return false;
+    return !mimetype.startsWith('text/plain') && !mimetype.startsWith('image/');
+}
@@ -0,0 +1,223 @@
+/**
+ * Sync provider for a shared folder, kept in sync between devices by a
+ * tool like Syncthing or a network share.
+ *
+ * Each entry is one file, clip-<device>-<timestamp>-<random>.json:
+ *   { version: 1, id, mimetype, origin, timestamp, hash, data }
+ * with data the base64 of the raw bytes and hash their hex SHA-256.  A
+ * device only ever writes and prunes its own files; it watches the folder
+ * for the files of the others.  Files already there when watching starts
+ * are old news and are not taken.
+ */
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+import { SyncProvider } from './syncprovider.js';
+
+const FILE_VERSION = 1;
+const FILE_RE = /^clip-.+\.json$/;
+const DEVICE_NAME = GLib.get_host_name();
+const DEVICE_TAG = DEVICE_NAME.replace(/[^A-Za-z0-9_.]/g, '_');
+// Files of this device left in the folder; older ones are deleted
+const MAX_OWN_FILES = 20;
+const MAX_FILE_SIZE = 16 * 1024 * 1024;
+// The base64 of the data plus the rest of the document
+const MAX_DOC_SIZE = Math.ceil(MAX_FILE_SIZE / 3) * 4 + 4096;
+
+export class FolderSync extends SyncProvider {
+    #enabled = false;
+    #destroyed = false;
+    #dir = null;
+    #monitor = null;
+    // Names of the files already taken that are still in the folder
+    #seen = new Set();
+    #onClipboardReceived;
+    #onReceiveDropped;
+
+    /**
+     * @param {object} params
+     * @param {(reason: string) => void} params.onReceiveDropped
+     */
+    constructor ({ onClipboardReceived, onStateChanged, onReceiveDropped }) {
+        super({ onStateChanged });
+        this.#onClipboardReceived = onClipboardReceived;
+        this.#onReceiveDropped = onReceiveDropped;
+        this._setState('disabled');
+    }
+
+    get id () { return 'folder'; }
+
+    /** @param {{enabled: boolean, path: string}} settings  `~` is the home folder */
+    updateSettings ({ enabled, path }) {
+        const dir = enabled && path ? Gio.File.new_for_path(_expandHome(path)) : null;
+        if (enabled === this.#enabled && (dir?.get_path() ?? null) === (this.#dir?.get_path() ?? null)) return;
+        this.#enabled = enabled;
+        this.#unwatch();
+
+        if (!enabled) {
+            this._setState('disabled');
+            return;
+        }
+        if (!dir || dir.query_file_type(Gio.FileQueryInfoFlags.NONE, null) !== Gio.FileType.DIRECTORY) {
+            console.error(`Folder sync: ${path || 'no folder set'} is not a folder`);
+            this._setState('error');
+            return;
+        }
+        this.#dir = dir;
+        this.#watch();
+    }
+
+    send (mimetype, bytes, { id, timestamp }) {
+        if (!this.#enabled || this.#destroyed || !this.#dir) return null;
+        if (!bytes || !mimetype) return null;
+        if (bytes.length > MAX_FILE_SIZE)
+            return Promise.resolve({ delivered: false, detail: 'Too large to sync', reason: 'too-large' });
+
+        const json = JSON.stringify({
+            version: FILE_VERSION,
+            id, mimetype, origin: DEVICE_NAME, timestamp,
+            hash: GLib.compute_checksum_for_data(GLib.ChecksumType.SHA256, bytes),
+            data: GLib.base64_encode(bytes),
+        });
+        const name = `clip-${DEVICE_TAG}-${String(Date.now()).padStart(13, '0')}-` +
+            `${GLib.uuid_string_random().slice(0, 8)}.json`;
+        const dir = this.#dir;
+
+        return new Promise(resolve => {
+            // replace_contents writes a temporary file and renames it, so
+            // other devices never see half a file
+            dir.get_child(name).replace_contents_bytes_async(new GLib.Bytes(new TextEncoder().encode(json)),
+                null, false, Gio.FileCreateFlags.PRIVATE, null, (file, res) => {
+                    try {
+                        file.replace_contents_finish(res);
+                        resolve({ delivered: true, detail: '' });
+                        this.#pruneOwnFiles(dir);
+                    } catch (e) {
+                        resolve({ delivered: false, detail: e.message });
+                    }
+                });
+        });
+    }
+
+    destroy () {
+        this.#destroyed = true;
+        this.#unwatch();
+    }
+
+    #watch () {
+        // Whatever is there now was synced before we started looking
+        try {
+            const children = this.#dir.enumerate_children('standard::name', Gio.FileQueryInfoFlags.NONE, null);
+            for (const info of children) {
+                if (FILE_RE.test(info.get_name())) this.#seen.add(info.get_name());
+            }
+            this.#monitor = this.#dir.monitor_directory(Gio.FileMonitorFlags.WATCH_MOVES, null);
+        } catch (e) {
+            console.error('Folder sync: cannot watch the folder', e);
+            this._setState('error');
+            return;
+        }
+        this.#monitor.connect('changed', (_monitor, file, other, event) => {
+            if (event === Gio.FileMonitorEvent.CHANGES_DONE_HINT || event === Gio.FileMonitorEvent.MOVED_IN) {
+                this.#take(file);
+            } else if (event === Gio.FileMonitorEvent.RENAMED) {
+                this.#seen.delete(file.get_basename());
+                this.#take(other);
+            } else if (event === Gio.FileMonitorEvent.DELETED || event === Gio.FileMonitorEvent.MOVED_OUT) {
+                this.#seen.delete(file.get_basename());
+            }
+        });
+        this._setState('connected');
+    }
+
+    #unwatch () {
+        this.#monitor?.cancel();
+        this.#monitor = null;
+        this.#dir = null;
+        this.#seen.clear();
+    }
+
+    #take (file) {
+        const name = file?.get_basename();
+        if (!name || !FILE_RE.test(name) || this.#seen.has(name) || name.startsWith(`clip-${DEVICE_TAG}-`))
+            return;
+        const monitor = this.#monitor;
+
+        // Look at the size first: the whole file is read into memory
+        file.query_info_async('standard::size', Gio.FileQueryInfoFlags.NONE, GLib.PRIORITY_DEFAULT, null,
+            (obj, res) => {
+                if (this.#destroyed || this.#monitor !== monitor) return;
+                try {
+                    if (obj.query_info_finish(res).get_size() > MAX_DOC_SIZE) {
+                        this.#seen.add(name);
+                        this.#onReceiveDropped?.('too-large');
+                        return;
+                    }
+                } catch (e) {
+                    console.debug('Folder sync: cannot read', name, e.message);
+                    return;
+                }
+                this.#load(file, name, monitor);
+            });
+    }
+
+    #load (file, name, monitor) {
+        file.load_contents_async(null, (obj, res) => {
+            if (this.#destroyed || this.#monitor !== monitor) return;
+            let doc;
+            try {
+                const [, contents] = obj.load_contents_finish(res);
+                doc = JSON.parse(new TextDecoder().decode(contents));
+            } catch (e) {
+                // Not complete yet, a later event tries again
+                console.debug('Folder sync: cannot read', name, e.message);
+                return;
+            }
+            this.#seen.add(name);
+            if (doc?.version !== FILE_VERSION || typeof doc.mimetype !== 'string' ||
+                typeof doc.data !== 'string' || doc.origin === DEVICE_NAME)
+                return;
+
+            const bytes = GLib.base64_decode(doc.data);
+            if (doc.hash !== GLib.compute_checksum_for_data(GLib.ChecksumType.SHA256, bytes)) {
+                console.error('Folder sync: received entry does not match its hash, dropped');
+                this.#onReceiveDropped?.('corrupt');
+                return;
+            }
+            this.#onClipboardReceived?.(doc.mimetype, bytes, {
+                id: typeof doc.id === 'string' ? doc.id : null,
+                origin: typeof doc.origin === 'string' ? doc.origin : '',
+                timestamp: Number(doc.timestamp) || 0,
+            });
+        });
+    }
+
+    #pruneOwnFiles (dir) {
+        dir.enumerate_children_async('standard::name', Gio.FileQueryInfoFlags.NONE,
+            GLib.PRIORITY_LOW, null, (obj, res) => {
+                try {
+                    const children = obj.enumerate_children_finish(res);
+                    const own = [...children].map(info => info.get_name())
+                        .filter(name => name.startsWith(`clip-${DEVICE_TAG}-`) && FILE_RE.test(name))
+                        .sort();
+                    for (const name of own.slice(0, -MAX_OWN_FILES))
+                        dir.get_child(name).delete_async(GLib.PRIORITY_LOW, null, _onDeleted);
+                } catch (e) {
+                    console.debug('Folder sync: pruning failed', e.message);
+                }
+            });
+    }
+}
+
+function _onDeleted (file, res) {
+    try {
+        file.delete_finish(res);
+    } catch (e) {
+        console.debug('Folder sync: cannot delete', file.get_basename(), e.message);
+    }
+}
+
+function _expandHome (path) {
+    return path === '~' || path.startsWith('~/') ? GLib.get_home_dir() + path.slice(1) : path;
+}
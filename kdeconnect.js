@@ -0,0 +1,161 @@
+/**
+ * Sync provider for KDE Connect's clipboard plugin.
+ *
+ * Text entries are pushed to every reachable paired device through the
+ * daemon's D-Bus interface.  The other way needs nothing from us: the
+ * daemon puts what a device sends on the clipboard, where the indicator
+ * picks it up like any other copy.  As such a copy may have come from a
+ * device, the SyncManager gives copied text to this provider only, not to
+ * the others.  KDE Connect's own automatic sharing should be off, or
+ * entries the history keeps to itself (private mode, sensitive content)
+ * still leave the machine.
+ *
+ * D-Bus (owned by kdeconnectd):
+ *   Bus name:  org.kde.kdeconnect
+ *   Object:    /modules/kdeconnect, interface org.kde.kdeconnect.daemon
+ *     Method:  devices(onlyReachable: b, onlyPaired: b) → (ids: as)
+ *     Signals: deviceAdded, deviceRemoved, deviceVisibilityChanged, …
+ *   Object:    /modules/kdeconnect/devices/<id>/clipboard,
+ *              interface org.kde.kdeconnect.device.clipboard
+ *     Method:  sendClipboard(content: s)
+ */
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+import { SyncProvider } from './syncprovider.js';
+
+const BUS_NAME = 'org.kde.kdeconnect';
+const DAEMON_PATH = '/modules/kdeconnect';
+const DAEMON_IFACE = 'org.kde.kdeconnect.daemon';
+const CLIPBOARD_IFACE = 'org.kde.kdeconnect.device.clipboard';
+const CALL_TIMEOUT = 5000;
+const TEXT_MIMETYPE_RE = /^(text\/plain\b|UTF8_STRING$|STRING$)/;
+// The protocol sends the clipboard as one JSON packet
+const MAX_TEXT_SIZE = 1024 * 1024;
+
+export class KdeConnectSync extends SyncProvider {
+    #enabled = false;
+    #destroyed = false;
+    #connection = null;
+    #nameWatcherId = 0;
+    #signalSubId = 0;
+    #devices = [];
+
+    constructor ({ onStateChanged }) {
+        super({ onStateChanged });
+        this._setState('disabled');
+    }
+
+    get id () { return 'kdeconnect'; }
+    /** Reachable paired devices. */
+    get deviceCount () { return this.#devices.length; }
+
+    updateSettings ({ enabled }) {
+        if (enabled === this.#enabled) return;
+        this.#enabled = enabled;
+
+        if (!enabled) {
+            this.#unwatch();
+            this._setState('disabled');
+            return;
+        }
+        this._setState('connecting');
+        this.#nameWatcherId = Gio.bus_watch_name(Gio.BusType.SESSION, BUS_NAME,
+            Gio.BusNameWatcherFlags.NONE,
+            connection => this.#onNameAppeared(connection),
+            () => this.#onNameVanished());
+    }
+
+    send (mimetype, bytes, _entry) {
+        if (!this.#enabled || this.#destroyed) return null;
+        if (!bytes || !TEXT_MIMETYPE_RE.test(mimetype ?? '')) return null;
+        if (bytes.length > MAX_TEXT_SIZE)
+            return Promise.resolve({ delivered: false, detail: 'Too large to sync', reason: 'too-large' });
+        if (!this.#connection || this.#devices.length === 0)
+            return Promise.resolve({ delivered: false, detail: 'No reachable KDE Connect device' });
+
+        const text = new TextDecoder().decode(bytes);
+        const connection = this.#connection;
+        return Promise.all(this.#devices.map(id =>
+            _call(connection, `${DAEMON_PATH}/devices/${id}/clipboard`, CLIPBOARD_IFACE, 'sendClipboard',
+                new GLib.Variant('(s)', [text]))
+                .then(() => null, e => `${id}: ${e.message}`)
+        )).then(errors => {
+            const failed = errors.filter(Boolean);
+            // Devices without the clipboard plugin answer with an error too
+            return { delivered: failed.length < errors.length, detail: failed.join('; ') };
+        });
+    }
+
+    writesClipboard (mimetype) {
+        return this.#enabled && !this.#destroyed && TEXT_MIMETYPE_RE.test(mimetype ?? '');
+    }
+
+    destroy () {
+        this.#destroyed = true;
+        this.#unwatch();
+    }
+
+    #unwatch () {
+        if (this.#signalSubId) {
+            this.#connection?.signal_unsubscribe(this.#signalSubId);
+            this.#signalSubId = 0;
+        }
+        if (this.#nameWatcherId) {
+            Gio.bus_unwatch_name(this.#nameWatcherId);
+            this.#nameWatcherId = 0;
+        }
+        this.#connection = null;
+        this.#devices = [];
+    }
+
+    #onNameAppeared (connection) {
+        if (this.#destroyed) return;
+        this.#connection = connection;
+        // Any of the daemon's device signals may change who is reachable
+        this.#signalSubId = connection.signal_subscribe(BUS_NAME, DAEMON_IFACE, null, DAEMON_PATH,
+            null, Gio.DBusSignalFlags.NONE, () => this.#refreshDevices());
+        this.#refreshDevices();
+    }
+
+    #onNameVanished () {
+        if (this.#destroyed) return;
+        if (this.#signalSubId) {
+            this.#connection?.signal_unsubscribe(this.#signalSubId);
+            this.#signalSubId = 0;
+        }
+        this.#connection = null;
+        this.#devices = [];
+        if (this.#enabled) this._setState('disconnected');
+    }
+
+    #refreshDevices () {
+        const connection = this.#connection;
+        _call(connection, DAEMON_PATH, DAEMON_IFACE, 'devices', new GLib.Variant('(bb)', [true, true]))
+            .then(reply => {
+                if (this.#destroyed || this.#connection !== connection) return;
+                [this.#devices] = reply.deepUnpack();
+                this._setState(this.#devices.length > 0 ? 'connected' : 'disconnected');
+            })
+            .catch(e => {
+                if (this.#destroyed || this.#connection !== connection) return;
+                console.error('KDE Connect sync: cannot list devices', e);
+                this._setState('error');
+            });
+    }
+}
+
+function _call (connection, path, iface, method, params) {
+    return new Promise((resolve, reject) => {
+        connection.call(BUS_NAME, path, iface, method, params, null,
+            Gio.DBusCallFlags.NONE, CALL_TIMEOUT, null, (conn, res) => {
+                try {
+                    resolve(conn.call_finish(res));
+                } catch (e) {
+                    if (e instanceof GLib.Error) Gio.DBusError.strip_remote_error(e);
+                    reject(e);
+                }
+            });
+    });
+}
@@ -1,9 +1,21 @@
 import Clutter from 'gi://Clutter';
+import Shell from 'gi://Shell';
 import * as Main from 'resource:///org/gnome/shell/ui/main.js';
 
+// Keys with no printable keysym of their own
+const CONTROL_KEYS = new Map([
+    ['\n', Clutter.KEY_Return],
+    ['\t', Clutter.KEY_Tab],
+]);
+const HELD_MODIFIERS = Clutter.ModifierType.SHIFT_MASK | Clutter.ModifierType.CONTROL_MASK |
+    Clutter.ModifierType.MOD1_MASK | Clutter.ModifierType.SUPER_MASK | Clutter.ModifierType.MOD4_MASK;
+const MODIFIER_POLL_INTERVAL = 50;
+const MODIFIER_WAIT_LIMIT = 2000;
+
 export class Keyboard {
     #device;
     #contentPurpose;
+    #typing = null;
 
     constructor () {
         let seat = Clutter.get_default_backend().get_default_seat();
@@ -15,6 +27,7 @@ export class Keyboard {
     }
 
     destroy () {
+        this.cancel();
         Main.inputMethod.disconnectObject(this);
         this.#device.run_dispose();
     }
@@ -38,4 +51,86 @@ export class Keyboard {
     release (key) {
         this.#notify(key, Clutter.KeyState.RELEASED);
     }
+
+    /** Press `keys` in order, then release them in reverse. */
+    chord (keys) {
+        keys.forEach(key => this.press(key));
+        [...keys].reverse().forEach(key => this.release(key));
+    }
+
+    get typing () {
+        return this.#typing !== null;
+    }
+
+    /**
+     * Type `text` into the focused window one character every `interval`
+     * ms, once the user has let go of the modifiers of the shortcut that
+     * started it.  Any typing still in progress is cancelled first.
+     * @returns {Promise<boolean>} false if cancelled before the end
+     */
+    async type (text, interval) {
+        this.cancel();
+        const run = { cancelled: false, timeout: null, wake: null };
+        this.#typing = run;
+        try {
+            for (let waited = 0; waited < MODIFIER_WAIT_LIMIT && this.#modifiersHeld(); waited += MODIFIER_POLL_INTERVAL)
+                await this.#sleep(run, MODIFIER_POLL_INTERVAL);
+
+            for (const char of text) {
+                if (run.cancelled) break;
+                this.#typeChar(char);
+                await this.#sleep(run, interval);
+            }
+            return !run.cancelled;
+        } finally {
+            if (this.#typing === run) this.#typing = null;
+        }
+    }
+
+    /** Stop typing started by type(). */
+    cancel () {
+        const run = this.#typing;
+        if (!run) return;
+        this.#typing = null;
+        run.cancelled = true;
+        clearTimeout(run.timeout);
+        run.wake?.();
+    }
+
+    #sleep (run, ms) {
+        return new Promise(resolve => {
+            run.wake = resolve;
+            run.timeout = setTimeout(resolve, ms);
+        });
+    }
+
+    #modifiersHeld () {
+        const [,, mods] = Shell.Global.get().get_pointer();
+        return (mods & HELD_MODIFIERS) !== 0;
+    }
+
+    /**
+     * ASCII goes through the virtual keyboard, which picks the key (and
+     * Shift level) of the current layout.  Other characters may not be on
+     * the layout at all, so they are committed through the input method
+     * when the window uses it, or entered as a Ctrl+Shift+U code point
+     * (understood by GTK and IBus) when it does not.
+     */
+    #typeChar (char) {
+        const codePoint = char.codePointAt(0);
+        if (CONTROL_KEYS.has(char)) {
+            this.chord([CONTROL_KEYS.get(char)]);
+        } else if (codePoint < 0x20 || codePoint === 0x7f) {
+            // Other control characters (e.g. the \r of \r\n) have no key
+        } else if (codePoint < 0x7f) {
+            this.chord([Clutter.unicode_to_keysym(codePoint)]);
+        } else if (Main.inputMethod.currentFocus) {
+            Main.inputMethod.commit(char);
+        } else {
+            this.chord([Clutter.KEY_Control_L, Clutter.KEY_Shift_L, Clutter.KEY_U]);
+            for (const digit of codePoint.toString(16))
+                this.chord([Clutter.unicode_to_keysym(digit.codePointAt(0))]);
+            this.chord([Clutter.KEY_space]);
+        }
+    }
 }
@@ -6,42 +6,210 @@ const _strings = {
     'clear-history':        { en: 'Clear history',                 zh_CN: '清空历史' },
     'settings':             { en: 'Settings',                      zh_CN: '设置' },
     'image':                { en: 'Image',                         zh_CN: '图片' },
+    'files':                { en: 'Files',                         zh_CN: '文件' },
+    'private-mode':         { en: 'Private mode',                  zh_CN: '隐私模式' },
+    'preview-local':        { en: 'Local',                         zh_CN: '本机' },
+    'preview-remote':       { en: 'From another device',           zh_CN: '来自其他设备' },
+    'preview-chars':        { en: 'characters',                    zh_CN: '个字符' },
+    'preview-more-lines':   { en: 'more lines',                    zh_CN: '行未显示' },
+    'history-locked-title': { en: 'Clipboard history is locked',   zh_CN: '剪贴板历史已锁定' },
+    'history-locked':       { en: 'Encryption key unavailable, history is not saved', zh_CN: '加密密钥不可用，历史不会被保存' },
+    'history-locked-reset': { en: 'Start a new encrypted history', zh_CN: '重新开始加密历史' },
+    'search-hint':          { en: 'Type to search…',               zh_CN: '输入以搜索…' },
+    'primary-selection':    { en: 'Primary selection',             zh_CN: '主选区' },
+
+    // Sensitive content kinds (shown on masked entries)
+    'sensitive-password-manager': { en: 'password',               zh_CN: '密码' },
+    'sensitive-private-key':{ en: 'private key',                   zh_CN: '私钥' },
+    'sensitive-jwt':        { en: 'token',                         zh_CN: '令牌' },
+    'sensitive-api-key':    { en: 'API key',                       zh_CN: 'API 密钥' },
+    'sensitive-credit-card':{ en: 'card number',                   zh_CN: '银行卡号' },
+    'sensitive-custom':     { en: 'sensitive',                     zh_CN: '敏感内容' },
 
     // Sync status
-    'sync-connected':       { en: 'MountLink: Connected',          zh_CN: 'MountLink: 已连接' },
-    'sync-listening':       { en: 'MountLink: Listening',          zh_CN: 'MountLink: 监听中' },
-    'sync-disconnected':    { en: 'MountLink: Disconnected',       zh_CN: 'MountLink: 未连接' },
-    'sync-connecting':      { en: 'MountLink: Connecting...',      zh_CN: 'MountLink: 连接中...' },
-    'sync-disabled':        { en: 'MountLink: Sync disabled',      zh_CN: 'MountLink: 同步已禁用' },
-    'sync-error':           { en: 'MountLink: Error',              zh_CN: 'MountLink: 错误' },
-    'sync-stopped':         { en: 'MountLink: Stopped',            zh_CN: 'MountLink: 已停止' },
+    'sync-connected':       { en: 'Connected',                     zh_CN: '已连接' },
+    'sync-listening':       { en: 'Listening',                     zh_CN: '监听中' },
+    'sync-disconnected':    { en: 'Disconnected',                  zh_CN: '未连接' },
+    'sync-connecting':      { en: 'Connecting...',                 zh_CN: '连接中...' },
+    'sync-disabled':        { en: 'Sync disabled',                 zh_CN: '同步已禁用' },
+    'sync-error':           { en: 'Error',                         zh_CN: '错误' },
+    'sync-stopped':         { en: 'Stopped',                       zh_CN: '已停止' },
+    'sync-provider-mountlink': { en: 'MountLink',                  zh_CN: 'MountLink' },
+    'sync-provider-kdeconnect': { en: 'KDE Connect',               zh_CN: 'KDE Connect' },
+    'sync-provider-dbus':   { en: 'D-Bus service',                 zh_CN: 'D-Bus 服务' },
+    'sync-provider-folder': { en: 'Shared folder',                 zh_CN: '共享文件夹' },
+    'sync-queued':          { en: 'queued',                        zh_CN: '条待发送' },
+    'sync-text-only-to':    { en: 'Copied text only goes to',      zh_CN: '复制的文本仅发送到' },
+    'sync-sending':         { en: 'sending',                       zh_CN: '发送中' },
+    'sync-receiving':       { en: 'receiving',                     zh_CN: '接收中' },
+    'sync-cancel-transfer': { en: 'Cancel transfer',               zh_CN: '取消传输' },
+    'sync-dropped-too-large': { en: 'a received entry was too large', zh_CN: '收到的条目过大' },
+    'sync-dropped-corrupt': { en: 'a received entry was damaged',  zh_CN: '收到的条目已损坏' },
+    'sync-too-large':       { en: 'an entry was too large to sync', zh_CN: '有条目过大，无法同步' },
 
     // Prefs - groups
     'general':              { en: 'General',                       zh_CN: '常规' },
-    'sync-group':           { en: 'MountLink Sync',                zh_CN: 'MountLink 同步' },
+    'sync-group':           { en: 'Sync',                          zh_CN: '同步' },
     'shortcuts-group':      { en: 'Shortcuts',                     zh_CN: '快捷键' },
+    'search-group':         { en: 'Search',                        zh_CN: '搜索' },
+    'sensitive-group':      { en: 'Sensitive content',             zh_CN: '敏感内容' },
+    'apps-group':           { en: 'Applications',                  zh_CN: '应用程序' },
+    'primary-group':        { en: 'Primary selection',             zh_CN: '主选区' },
 
     // Prefs - general
     'history-size':         { en: 'History size',                  zh_CN: '历史条数' },
     'preview-size':         { en: 'Preview length (characters)',   zh_CN: '预览长度（字符）' },
     'max-cache-size':       { en: 'Max cache size (MB)',           zh_CN: '最大缓存大小 (MB)' },
-    'auto-clear':           { en: 'Auto clear interval',           zh_CN: '自动清除间隔' },
+    'max-image-storage':    { en: 'Max image storage (MB)',        zh_CN: '最大图片存储 (MB)' },
+    'max-image-storage-desc': { en: 'Oldest unpinned images are removed beyond this', zh_CN: '超出后删除最早的未固定图片' },
+    'encrypt-history':      { en: 'Encrypt saved history',         zh_CN: '加密保存的历史' },
+    'encrypt-history-desc': { en: 'The key is kept in the login keyring', zh_CN: '密钥保存在登录密钥环中' },
+    'capture-rich-content': { en: 'Keep formatting and file lists', zh_CN: '保留格式和文件列表' },
+    'capture-rich-content-desc': { en: 'Store HTML, RTF and copied files alongside plain text', zh_CN: '在纯文本之外同时保存 HTML、RTF 和复制的文件' },
+    'rich-content-max-kb':  { en: 'Max size per extra format (KB)', zh_CN: '每种附加格式的最大大小 (KB)' },
     'paste-on-select':      { en: 'Paste on select',              zh_CN: '选中即粘贴' },
+    'enable-preview':       { en: 'Preview entries',               zh_CN: '预览条目' },
+    'enable-preview-desc':  { en: 'Show full text or image beside the menu on hover or keyboard focus', zh_CN: '悬停或键盘聚焦时在菜单旁显示完整文本或图片' },
+    'private-mode-desc':    { en: 'Pause clipboard capture and sync', zh_CN: '暂停剪贴板记录与同步' },
     'language':             { en: 'Language',                      zh_CN: '语言' },
     'lang-restart-note':    { en: 'Reopen settings to apply',     zh_CN: '重新打开设置页面后生效' },
 
-    // Prefs - auto clear options
-    'off':                  { en: 'Off',                           zh_CN: '关闭' },
-    'hours-24':             { en: '24 hours',                      zh_CN: '24 小时' },
-    'hours-48':             { en: '48 hours',                      zh_CN: '48 小时' },
-    'hours-96':             { en: '96 hours',                      zh_CN: '96 小时' },
+    // Prefs - retention
+    'retention-group':      { en: 'Retention',                     zh_CN: '保留' },
+    'retention-history':    { en: 'Delete old entries',            zh_CN: '删除旧条目' },
+    'retention-history-desc': { en: 'Pinned entries are kept',     zh_CN: '固定的条目会被保留' },
+    'retention-sensitive':  { en: 'Shorter lifetime for sensitive entries', zh_CN: '敏感条目使用更短的保留时间' },
+    'retention-remote':     { en: 'Shorter lifetime for synced entries', zh_CN: '同步条目使用更短的保留时间' },
+    'retention-amount':     { en: 'Older than',                    zh_CN: '早于' },
+    'retention-unit':       { en: 'Unit',                          zh_CN: '单位' },
+    'unit-minutes':         { en: 'Minutes',                       zh_CN: '分钟' },
+    'unit-hours':           { en: 'Hours',                         zh_CN: '小时' },
+    'unit-days':            { en: 'Days',                          zh_CN: '天' },
+
+    // Prefs - search
+    'search-regex':         { en: 'Regular expression search',    zh_CN: '正则表达式搜索' },
+    'search-case-sensitive':{ en: 'Case-sensitive search',        zh_CN: '区分大小写' },
+
+    // Prefs - sensitive content
+    'sensitive-detection':  { en: 'Detect secrets',               zh_CN: '检测敏感内容' },
+    'sensitive-detection-desc': { en: 'Password managers, keys, tokens and card numbers', zh_CN: '密码管理器、密钥、令牌和银行卡号' },
+    'sensitive-policy':     { en: 'When a secret is detected',    zh_CN: '检测到敏感内容时' },
+    'policy-ignore':        { en: 'Do not store',                 zh_CN: '不保存' },
+    'policy-mask':          { en: 'Store masked, then expire',    zh_CN: '隐藏显示并定时删除' },
+    'policy-local-only':    { en: 'Store locally, never sync',    zh_CN: '仅本地保存，不同步' },
+    'sensitive-mask-minutes': { en: 'Masked entry lifetime (minutes)', zh_CN: '隐藏条目保留时间（分钟）' },
+    'sensitive-patterns':   { en: 'Custom patterns',              zh_CN: '自定义规则' },
+    'sensitive-patterns-desc': { en: 'Regular expressions that mark content as sensitive', zh_CN: '匹配即视为敏感内容的正则表达式' },
+    'add-pattern':          { en: 'Add pattern',                  zh_CN: '添加规则' },
+
+    // Prefs - applications
+    'app-filter-mode':      { en: 'Capture clipboard from',       zh_CN: '记录以下应用的剪贴板' },
+    'app-filter-exclude':   { en: 'All except excluded apps',     zh_CN: '除排除列表外的所有应用' },
+    'app-filter-allow':     { en: 'Only allowed apps',            zh_CN: '仅允许列表中的应用' },
+    'excluded-apps':        { en: 'Excluded applications',        zh_CN: '排除的应用' },
+    'allowed-apps':         { en: 'Allowed applications',         zh_CN: '允许的应用' },
+    'apps-list-desc':       { en: 'App id or WM_CLASS of the focused window', zh_CN: '焦点窗口的应用 ID 或 WM_CLASS' },
+    'add-app-id':           { en: 'Add app id or WM_CLASS',       zh_CN: '添加应用 ID 或 WM_CLASS' },
+    'choose-app':           { en: 'Choose application…',          zh_CN: '选择应用…' },
+    'search-apps':          { en: 'Search applications',          zh_CN: '搜索应用' },
+
+    // Prefs - primary selection
+    'track-primary':        { en: 'Record primary selection',     zh_CN: '记录主选区' },
+    'track-primary-desc':   { en: 'Text selected with the mouse and pasted with middle-click', zh_CN: '用鼠标选中、用中键粘贴的文本' },
+    'primary-history':      { en: 'List selections',              zh_CN: '选区条目显示方式' },
+    'primary-history-merged': { en: 'In the clipboard history',   zh_CN: '并入剪贴板历史' },
+    'primary-history-separate': { en: 'In a history of their own', zh_CN: '单独的历史' },
+    'selection-sync':       { en: 'Copy between clipboard and selection', zh_CN: '在剪贴板与选区之间同步' },
+    'selection-sync-none':  { en: 'Never',                        zh_CN: '从不' },
+    'selection-sync-clipboard-to-primary': { en: 'Clipboard to selection', zh_CN: '剪贴板到选区' },
+    'selection-sync-primary-to-clipboard': { en: 'Selection to clipboard', zh_CN: '选区到剪贴板' },
 
     // Prefs - sync
     'sync-enabled':         { en: 'Enable MountLink sync (D-Bus)', zh_CN: '启用 MountLink 同步 (D-Bus)' },
+    'sync-kdeconnect':      { en: 'KDE Connect',                   zh_CN: 'KDE Connect' },
+    'sync-kdeconnect-desc': { en: 'Send text to paired devices. Warning: text it receives cannot be told from a copy, so while this is on, copied text is no longer sent to MountLink, the D-Bus service or the shared folder, and received text skips the receive settings. Turn off clipboard sharing in KDE Connect itself', zh_CN: '将文本发送到已配对设备。警告：其接收的文本与复制的无法区分，因此开启后复制的文本不再发送到 MountLink、D-Bus 服务或共享文件夹，收到的文本也不受接收设置限制。请关闭 KDE Connect 自身的剪贴板共享' },
+    'sync-dbus':            { en: 'Other D-Bus service',           zh_CN: '其他 D-Bus 服务' },
+    'sync-dbus-desc':       { en: 'A service with the MountLink v1 methods and signals', zh_CN: '提供 MountLink v1 方法与信号的服务' },
+    'sync-dbus-name':       { en: 'Bus name',                      zh_CN: '总线名称' },
+    'sync-dbus-path':       { en: 'Object path',                   zh_CN: '对象路径' },
+    'sync-dbus-interface':  { en: 'Interface',                     zh_CN: '接口' },
+    'sync-folder':          { en: 'Shared folder',                 zh_CN: '共享文件夹' },
+    'sync-folder-desc':     { en: 'A folder synced between devices, e.g. by Syncthing', zh_CN: '在设备间同步的文件夹，例如通过 Syncthing' },
+    'sync-folder-path':     { en: 'Folder',                        zh_CN: '文件夹' },
+    'sync-send':            { en: 'Send entries',                  zh_CN: '发送条目' },
+    'sync-send-desc':       { en: 'What is copied here goes to the other devices', zh_CN: '在此复制的内容发送到其他设备' },
+    'sync-receive':         { en: 'Receive entries',               zh_CN: '接收条目' },
+    'sync-receive-desc':    { en: 'KDE Connect writes to the clipboard itself and is not affected', zh_CN: 'KDE Connect 自行写入剪贴板，不受此影响' },
+    'sync-type-text':       { en: 'Text',                          zh_CN: '文本' },
+    'sync-type-image':      { en: 'Images',                        zh_CN: '图片' },
+    'sync-type-files':      { en: 'Copied files',                  zh_CN: '复制的文件' },
+    'sync-type-other':      { en: 'Other content',                 zh_CN: '其他内容' },
+    'sync-max-kb':          { en: 'Largest entry (KB)',            zh_CN: '最大条目 (KB)' },
+    'sync-max-kb-desc':     { en: '0 for no limit',                zh_CN: '0 表示不限制' },
+    'sync-receive-mode':    { en: 'Received entries',              zh_CN: '收到的条目' },
+    'sync-receive-mode-clipboard': { en: 'Replace the clipboard',  zh_CN: '替换剪贴板' },
+    'sync-receive-mode-history': { en: 'Add to the history only',  zh_CN: '仅加入历史记录' },
+    'sync-queue-persist':   { en: 'Keep unsent entries across restarts', zh_CN: '重启后保留未发送的条目' },
+    'sync-queue-persist-desc': { en: 'Not while the history is encrypted', zh_CN: '历史记录加密时不保留' },
 
     // Prefs - shortcuts
     'enable-shortcuts':     { en: 'Enable shortcuts',             zh_CN: '启用快捷键' },
     'toggle-menu':          { en: 'Toggle clipboard menu',        zh_CN: '切换剪贴板菜单' },
+    'toggle-private-mode':  { en: 'Toggle private mode',          zh_CN: '切换隐私模式' },
+    'cycle-previous':       { en: 'Select older entry',           zh_CN: '选择较早的条目' },
+    'cycle-next':           { en: 'Select newer entry',           zh_CN: '选择较新的条目' },
+    'paste-recent':         { en: 'Paste recent entry',           zh_CN: '粘贴最近的条目' },
+    'paste-pinned':         { en: 'Paste pinned entry',           zh_CN: '粘贴固定的条目' },
+    'quick-paste-desc':     { en: 'Counted from the top of the menu', zh_CN: '从菜单顶部开始计数' },
+    'entry':                { en: 'Entry',                        zh_CN: '条目' },
+    'paste-group':          { en: 'Pasting',                      zh_CN: '粘贴' },
+    'paste-method':         { en: 'Paste method',                 zh_CN: '粘贴方式' },
+    'paste-method-auto':    { en: 'Automatic',                    zh_CN: '自动' },
+    'paste-method-ctrl-v':  { en: 'Ctrl+V',                       zh_CN: 'Ctrl+V' },
+    'paste-method-ctrl-shift-v': { en: 'Ctrl+Shift+V',            zh_CN: 'Ctrl+Shift+V' },
+    'paste-method-shift-insert': { en: 'Shift+Insert',            zh_CN: 'Shift+Insert' },
+    'paste-method-type':    { en: 'Type out',                     zh_CN: '逐字输入' },
+    'paste-method-none':    { en: 'No fallback',                  zh_CN: '无备选' },
+    'paste-fallback':       { en: 'Used when the entry cannot be typed out', zh_CN: '条目无法逐字输入时使用' },
+    'paste-rules':          { en: 'Per-application paste method', zh_CN: '按应用设置粘贴方式' },
+    'paste-rules-desc':     { en: 'App id or WM_CLASS, with a fallback method', zh_CN: '应用 ID 或 WM_CLASS，可设置备选方式' },
+    'paste-delay':          { en: 'Paste delay (ms)',             zh_CN: '粘贴延迟（毫秒）' },
+    'restore-after-paste':  { en: 'Restore clipboard after pasting', zh_CN: '粘贴后恢复剪贴板' },
+    'restore-after-paste-desc': { en: 'Put the previous entry back once the paste is done', zh_CN: '粘贴完成后恢复之前的条目' },
+    'paste-restore-delay':  { en: 'Restore delay (ms)',           zh_CN: '恢复延迟（毫秒）' },
+    'type-out-interval':    { en: 'Typing interval (ms)',         zh_CN: '逐字输入间隔（毫秒）' },
+    'type-out-interval-desc': { en: 'Raise for remote desktops that drop keys', zh_CN: '远程桌面丢键时可调大' },
+    'type-out':             { en: 'Type out clipboard content',   zh_CN: '逐字输入剪贴板内容' },
+    'cancel-type-out':      { en: 'Stop typing out',              zh_CN: '停止逐字输入' },
+    'transform-group':      { en: 'Transformations',              zh_CN: '文本转换' },
+    'transform-result':     { en: 'Result',                       zh_CN: '转换结果' },
+    'transform-result-new': { en: 'Add as new entry',             zh_CN: '添加为新条目' },
+    'transform-result-replace': { en: 'Replace the original',     zh_CN: '替换原条目' },
+    'transform-paste':      { en: 'Paste the result',             zh_CN: '粘贴转换结果' },
+    'custom-transforms':    { en: 'Custom commands',              zh_CN: '自定义命令' },
+    'custom-transforms-desc': { en: 'The command reads the text on stdin and prints the result', zh_CN: '命令从标准输入读取文本并输出结果' },
+    'add-custom-transform': { en: 'Name=command',                 zh_CN: '名称=命令' },
+    'transform-failed':     { en: 'Transformation failed',        zh_CN: '转换失败' },
+    'transform-trim':       { en: 'Trim whitespace',              zh_CN: '去除首尾空白' },
+    'transform-single-line': { en: 'Join into one line',          zh_CN: '合并为一行' },
+    'transform-upper-case': { en: 'UPPER CASE',                   zh_CN: '转为大写' },
+    'transform-lower-case': { en: 'lower case',                   zh_CN: '转为小写' },
+    'transform-title-case': { en: 'Title Case',                   zh_CN: '首字母大写' },
+    'transform-strip-formatting': { en: 'Plain text',             zh_CN: '纯文本' },
+    'transform-url-encode': { en: 'URL-encode',                   zh_CN: 'URL 编码' },
+    'transform-url-decode': { en: 'URL-decode',                   zh_CN: 'URL 解码' },
+    'transform-base64-encode': { en: 'Base64-encode',             zh_CN: 'Base64 编码' },
+    'transform-base64-decode': { en: 'Base64-decode',             zh_CN: 'Base64 解码' },
+    'transform-json-pretty': { en: 'Format JSON',                 zh_CN: '格式化 JSON' },
+    'transform-json-minify': { en: 'Minify JSON',                 zh_CN: '压缩 JSON' },
+    'transform-shell-escape': { en: 'Quote for shell',            zh_CN: '转义为 Shell 参数' },
+    'snippets':             { en: 'Snippets',                     zh_CN: '片段' },
+    'snippets-desc':        { en: 'Pasted from the menu. Placeholders: {date}, {time} (optionally {date:%Y-%m-%d}), {clipboard} and {cursor}', zh_CN: '从菜单粘贴。占位符：{date}、{time}（可写作 {date:%Y-%m-%d}）、{clipboard} 和 {cursor}' },
+    'add-snippet':          { en: 'Add snippet',                  zh_CN: '添加片段' },
+    'untitled-snippet':     { en: 'New snippet',                  zh_CN: '新片段' },
+    'snippet-name':         { en: 'Name',                         zh_CN: '名称' },
+    'snippet-folder':       { en: 'Folder',                       zh_CN: '文件夹' },
+    'delete-snippet':       { en: 'Delete snippet',               zh_CN: '删除片段' },
     'disabled':             { en: 'Disabled',                     zh_CN: '已禁用' },
     'enter-shortcut':       { en: 'Enter shortcut',               zh_CN: '输入快捷键' },
 
@@ -0,0 +1,45 @@
+/**
+ * Paste methods and the per-application rules that choose between them.
+ *
+ * A method is either a key combination sent to the focused window once the
+ * entry is on the clipboard, or typing the text out key by key for windows
+ * that ignore paste shortcuts.  Rules are stored as "app=method[,method…]"
+ * strings, app being an app id or WM_CLASS as for the application filter;
+ * the first method that can handle the entry is used.
+ *
+ * Shared with prefs.js, so this module must not import shell libraries.
+ */
+
+export const PasteMethod = {
+    AUTO: 'auto',                 // Shift+Insert, Ctrl+Shift+Insert in terminals
+    CTRL_V: 'ctrl-v',
+    CTRL_SHIFT_V: 'ctrl-shift-v',
+    SHIFT_INSERT: 'shift-insert',
+    TYPE: 'type',
+};
+
+export const PASTE_METHODS = Object.values(PasteMethod);
+
+/**
+ * @param {string} rule  "app=method[,method…]"
+ * @returns {{app: string, methods: string[]}|null} null if malformed;
+ *          unknown methods are dropped
+ */
+export function parsePasteRule (rule) {
+    const idx = rule.lastIndexOf('=');
+    if (idx <= 0) return null;
+    const app = rule.slice(0, idx).trim();
+    const methods = rule.slice(idx + 1).split(',')
+        .map(method => method.trim())
+        .filter(method => PASTE_METHODS.includes(method));
+    return app && methods.length > 0 ? { app, methods } : null;
+}
+
+export function formatPasteRule (app, methods) {
+    return `${app}=${methods.join(',')}`;
+}
+
+/** Whether `method` can paste `entry`: only text can be typed out. */
+export function canPasteWith (method, entry) {
+    return method !== PasteMethod.TYPE || (entry.isText() && !entry.isFileList());
+}
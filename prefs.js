@@ -4,8 +4,12 @@ import Gdk from 'gi://Gdk';
 import GLib from 'gi://GLib';
 import Gio from 'gi://Gio';
 import { ExtensionPreferences } from 'resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js';
-import { PrefsFields } from './constants.js';
+import { PrefsFields, PASTE_RECENT_BINDINGS, PASTE_PINNED_BINDINGS } from './constants.js';
 import { tr, setLanguage } from './locale.js';
+import { PASTE_METHODS, PasteMethod, parsePasteRule, formatPasteRule } from './paste.js';
+import { parseCustomTransform } from './transforms.js';
+import { SnippetStore, createSnippet, snippetTitle } from './snippets.js';
+import { SYNC_TYPES, RECEIVE_MODES } from './syncpolicy.js';
 
 export default class ClipboardIndicatorPreferences extends ExtensionPreferences {
     fillPreferencesWindow (window) {
@@ -44,28 +48,58 @@ export default class ClipboardIndicatorPreferences extends ExtensionPreferences
         settings.bind(PrefsFields.CACHE_FILE_SIZE, cacheSize, 'value', Gio.SettingsBindFlags.DEFAULT);
         general.add(cacheSize);
 
-        // Auto clear combo: Off / 24h / 48h / 96h
-        const autoClear = new Adw.ComboRow({
-            title: tr('auto-clear'),
-            model: (() => {
-                const list = new Gtk.StringList();
-                [tr('off'), tr('hours-24'), tr('hours-48'), tr('hours-96')]
-                    .forEach(s => list.append(s));
-                return list;
-            })()
+        const imageStorage = new Adw.SpinRow({
+            title: tr('max-image-storage'),
+            subtitle: tr('max-image-storage-desc'),
+            adjustment: new Gtk.Adjustment({
+                lower: 1, upper: 2048, step_increment: 10
+            })
         });
-        const hoursToIdx = { 0: 0, 24: 1, 48: 2, 96: 3 };
-        const idxToHours = [0, 24, 48, 96];
-        autoClear.set_selected(hoursToIdx[settings.get_int(PrefsFields.AUTO_CLEAR_HOURS)] ?? 0);
-        autoClear.connect('notify::selected', () => {
-            settings.set_int(PrefsFields.AUTO_CLEAR_HOURS, idxToHours[autoClear.selected] ?? 0);
+        settings.bind(PrefsFields.IMAGE_STORAGE_SIZE, imageStorage, 'value', Gio.SettingsBindFlags.DEFAULT);
+        general.add(imageStorage);
+
+        const encryptHistory = new Adw.SwitchRow({
+            title: tr('encrypt-history'),
+            subtitle: tr('encrypt-history-desc')
+        });
+        settings.bind(PrefsFields.ENCRYPT_HISTORY, encryptHistory, 'active', Gio.SettingsBindFlags.DEFAULT);
+        general.add(encryptHistory);
+
+        const captureRich = new Adw.SwitchRow({
+            title: tr('capture-rich-content'),
+            subtitle: tr('capture-rich-content-desc')
+        });
+        settings.bind(PrefsFields.CAPTURE_RICH_CONTENT, captureRich, 'active', Gio.SettingsBindFlags.DEFAULT);
+        general.add(captureRich);
+
+        const richMaxSize = new Adw.SpinRow({
+            title: tr('rich-content-max-kb'),
+            adjustment: new Gtk.Adjustment({
+                lower: 16, upper: 16384, step_increment: 64
+            })
         });
-        general.add(autoClear);
+        settings.bind(PrefsFields.RICH_CONTENT_MAX_KB, richMaxSize, 'value', Gio.SettingsBindFlags.DEFAULT);
+        settings.bind(PrefsFields.CAPTURE_RICH_CONTENT, richMaxSize, 'sensitive', Gio.SettingsBindFlags.GET);
+        general.add(richMaxSize);
 
         const pasteOnSelect = new Adw.SwitchRow({ title: tr('paste-on-select') });
         settings.bind(PrefsFields.PASTE_ON_SELECT, pasteOnSelect, 'active', Gio.SettingsBindFlags.DEFAULT);
         general.add(pasteOnSelect);
 
+        const preview = new Adw.SwitchRow({
+            title: tr('enable-preview'),
+            subtitle: tr('enable-preview-desc')
+        });
+        settings.bind(PrefsFields.ENABLE_PREVIEW, preview, 'active', Gio.SettingsBindFlags.DEFAULT);
+        general.add(preview);
+
+        const privateMode = new Adw.SwitchRow({
+            title: tr('private-mode'),
+            subtitle: tr('private-mode-desc')
+        });
+        settings.bind(PrefsFields.PRIVATE_MODE, privateMode, 'active', Gio.SettingsBindFlags.DEFAULT);
+        general.add(privateMode);
+
         // Language selector
         const langRow = new Adw.ComboRow({
             title: tr('language'),
@@ -86,13 +120,322 @@ export default class ClipboardIndicatorPreferences extends ExtensionPreferences
 
         page.add(general);
 
-        // ════════════ MountLink Sync ════════════
+        // ════════════ Retention ════════════
+        const retentionGroup = new Adw.PreferencesGroup({ title: tr('retention-group') });
+        retentionGroup.add(this.#createRetentionRow(settings, PrefsFields.RETENTION_MINUTES, {
+            title: tr('retention-history'),
+            subtitle: tr('retention-history-desc')
+        }));
+        retentionGroup.add(this.#createRetentionRow(settings, PrefsFields.SENSITIVE_RETENTION_MINUTES, {
+            title: tr('retention-sensitive')
+        }));
+        retentionGroup.add(this.#createRetentionRow(settings, PrefsFields.REMOTE_RETENTION_MINUTES, {
+            title: tr('retention-remote')
+        }));
+        page.add(retentionGroup);
+
+        // ════════════ Search ════════════
+        const searchGroup = new Adw.PreferencesGroup({ title: tr('search-group') });
+
+        const searchRegex = new Adw.SwitchRow({ title: tr('search-regex') });
+        settings.bind(PrefsFields.SEARCH_REGEX, searchRegex, 'active', Gio.SettingsBindFlags.DEFAULT);
+        searchGroup.add(searchRegex);
+
+        const searchCase = new Adw.SwitchRow({ title: tr('search-case-sensitive') });
+        settings.bind(PrefsFields.SEARCH_CASE_SENSITIVE, searchCase, 'active', Gio.SettingsBindFlags.DEFAULT);
+        searchGroup.add(searchCase);
+
+        page.add(searchGroup);
+
+        // ════════════ Sensitive content ════════════
+        const sensitiveGroup = new Adw.PreferencesGroup({ title: tr('sensitive-group') });
+
+        const sensitiveDetection = new Adw.SwitchRow({
+            title: tr('sensitive-detection'),
+            subtitle: tr('sensitive-detection-desc')
+        });
+        settings.bind(PrefsFields.SENSITIVE_DETECTION, sensitiveDetection, 'active', Gio.SettingsBindFlags.DEFAULT);
+        sensitiveGroup.add(sensitiveDetection);
+
+        const policies = ['ignore', 'mask', 'local-only'];
+        const sensitivePolicy = new Adw.ComboRow({
+            title: tr('sensitive-policy'),
+            model: (() => {
+                const list = new Gtk.StringList();
+                policies.forEach(p => list.append(tr(`policy-${p}`)));
+                return list;
+            })()
+        });
+        sensitivePolicy.set_selected(Math.max(0, policies.indexOf(settings.get_string(PrefsFields.SENSITIVE_POLICY))));
+        sensitiveGroup.add(sensitivePolicy);
+
+        const maskMinutes = new Adw.SpinRow({
+            title: tr('sensitive-mask-minutes'),
+            adjustment: new Gtk.Adjustment({
+                lower: 1, upper: 1440, step_increment: 1
+            })
+        });
+        settings.bind(PrefsFields.SENSITIVE_MASK_MINUTES, maskMinutes, 'value', Gio.SettingsBindFlags.DEFAULT);
+        maskMinutes.sensitive = policies[sensitivePolicy.selected] === 'mask';
+        sensitiveGroup.add(maskMinutes);
+
+        sensitivePolicy.connect('notify::selected', () => {
+            const policy = policies[sensitivePolicy.selected] ?? 'mask';
+            settings.set_string(PrefsFields.SENSITIVE_POLICY, policy);
+            maskMinutes.sensitive = policy === 'mask';
+        });
+
+        sensitiveGroup.add(this.#createStringListRow(settings, PrefsFields.SENSITIVE_PATTERNS, {
+            title: tr('sensitive-patterns'),
+            subtitle: tr('sensitive-patterns-desc'),
+            placeholder: tr('add-pattern'),
+            validate: value => {
+                try { new RegExp(value, 'u'); return true; } catch (e) { return false; }
+            }
+        }));
+
+        page.add(sensitiveGroup);
+
+        // ════════════ Applications ════════════
+        const appsGroup = new Adw.PreferencesGroup({ title: tr('apps-group') });
+
+        const filterModes = ['exclude', 'allow'];
+        const appFilterMode = new Adw.ComboRow({
+            title: tr('app-filter-mode'),
+            model: (() => {
+                const list = new Gtk.StringList();
+                filterModes.forEach(m => list.append(tr(`app-filter-${m}`)));
+                return list;
+            })()
+        });
+        appFilterMode.set_selected(Math.max(0, filterModes.indexOf(settings.get_string(PrefsFields.APP_FILTER_MODE))));
+        appsGroup.add(appFilterMode);
+
+        const appListRow = (pref, title) => this.#createStringListRow(settings, pref, {
+            title,
+            subtitle: tr('apps-list-desc'),
+            placeholder: tr('add-app-id'),
+            extraRows: addValue => {
+                const chooseRow = new Adw.ActionRow({ title: tr('choose-app'), activatable: true });
+                chooseRow.add_suffix(new Gtk.Image({ icon_name: 'list-add-symbolic' }));
+                chooseRow.connect('activated', () => this.#chooseApp(window, addValue));
+                return [chooseRow];
+            }
+        });
+        const excludedApps = appListRow(PrefsFields.EXCLUDED_APPS, tr('excluded-apps'));
+        const allowedApps = appListRow(PrefsFields.ALLOWED_APPS, tr('allowed-apps'));
+        appsGroup.add(excludedApps);
+        appsGroup.add(allowedApps);
+
+        const syncAppLists = () => {
+            const mode = filterModes[appFilterMode.selected] ?? 'exclude';
+            excludedApps.visible = mode === 'exclude';
+            allowedApps.visible = mode === 'allow';
+        };
+        appFilterMode.connect('notify::selected', () => {
+            settings.set_string(PrefsFields.APP_FILTER_MODE, filterModes[appFilterMode.selected] ?? 'exclude');
+            syncAppLists();
+        });
+        syncAppLists();
+
+        page.add(appsGroup);
+
+        // ════════════ Pasting ════════════
+        const pasteGroup = new Adw.PreferencesGroup({ title: tr('paste-group') });
+
+        const pasteMethod = new Adw.ComboRow({
+            title: tr('paste-method'),
+            model: (() => {
+                const list = new Gtk.StringList();
+                PASTE_METHODS.forEach(m => list.append(tr(`paste-method-${m}`)));
+                return list;
+            })()
+        });
+        pasteMethod.set_selected(Math.max(0, PASTE_METHODS.indexOf(settings.get_string(PrefsFields.PASTE_METHOD))));
+        pasteMethod.connect('notify::selected', () => {
+            settings.set_string(PrefsFields.PASTE_METHOD, PASTE_METHODS[pasteMethod.selected] ?? PasteMethod.AUTO);
+        });
+        pasteGroup.add(pasteMethod);
+
+        pasteGroup.add(this.#createPasteRulesRow(window, settings));
+
+        const pasteDelay = new Adw.SpinRow({
+            title: tr('paste-delay'),
+            adjustment: new Gtk.Adjustment({
+                lower: 0, upper: 2000, step_increment: 10
+            })
+        });
+        settings.bind(PrefsFields.PASTE_DELAY, pasteDelay, 'value', Gio.SettingsBindFlags.DEFAULT);
+        pasteGroup.add(pasteDelay);
+
+        const restoreAfterPaste = new Adw.SwitchRow({
+            title: tr('restore-after-paste'),
+            subtitle: tr('restore-after-paste-desc')
+        });
+        settings.bind(PrefsFields.RESTORE_AFTER_PASTE, restoreAfterPaste, 'active', Gio.SettingsBindFlags.DEFAULT);
+        pasteGroup.add(restoreAfterPaste);
+
+        const restoreDelay = new Adw.SpinRow({
+            title: tr('paste-restore-delay'),
+            adjustment: new Gtk.Adjustment({
+                lower: 0, upper: 5000, step_increment: 50
+            })
+        });
+        settings.bind(PrefsFields.PASTE_RESTORE_DELAY, restoreDelay, 'value', Gio.SettingsBindFlags.DEFAULT);
+        settings.bind(PrefsFields.RESTORE_AFTER_PASTE, restoreDelay, 'sensitive', Gio.SettingsBindFlags.GET);
+        pasteGroup.add(restoreDelay);
+
+        const typeOutInterval = new Adw.SpinRow({
+            title: tr('type-out-interval'),
+            subtitle: tr('type-out-interval-desc'),
+            adjustment: new Gtk.Adjustment({
+                lower: 1, upper: 1000, step_increment: 5
+            })
+        });
+        settings.bind(PrefsFields.TYPE_OUT_INTERVAL, typeOutInterval, 'value', Gio.SettingsBindFlags.DEFAULT);
+        pasteGroup.add(typeOutInterval);
+
+        page.add(pasteGroup);
+
+        // ════════════ Transformations ════════════
+        const transformGroup = new Adw.PreferencesGroup({ title: tr('transform-group') });
+
+        const resultModes = ['new', 'replace'];
+        const transformResult = new Adw.ComboRow({
+            title: tr('transform-result'),
+            model: (() => {
+                const list = new Gtk.StringList();
+                resultModes.forEach(m => list.append(tr(`transform-result-${m}`)));
+                return list;
+            })()
+        });
+        transformResult.set_selected(Math.max(0, resultModes.indexOf(settings.get_string(PrefsFields.TRANSFORM_RESULT))));
+        transformResult.connect('notify::selected', () => {
+            settings.set_string(PrefsFields.TRANSFORM_RESULT, resultModes[transformResult.selected] ?? 'new');
+        });
+        transformGroup.add(transformResult);
+
+        const transformPaste = new Adw.SwitchRow({ title: tr('transform-paste') });
+        settings.bind(PrefsFields.TRANSFORM_PASTE, transformPaste, 'active', Gio.SettingsBindFlags.DEFAULT);
+        transformGroup.add(transformPaste);
+
+        transformGroup.add(this.#createStringListRow(settings, PrefsFields.CUSTOM_TRANSFORMS, {
+            title: tr('custom-transforms'),
+            subtitle: tr('custom-transforms-desc'),
+            placeholder: tr('add-custom-transform'),
+            validate: value => parseCustomTransform(value) !== null
+        }));
+
+        page.add(transformGroup);
+
+        // ════════════ Primary selection ════════════
+        const primaryGroup = new Adw.PreferencesGroup({ title: tr('primary-group') });
+
+        const trackPrimary = new Adw.SwitchRow({
+            title: tr('track-primary'),
+            subtitle: tr('track-primary-desc')
+        });
+        settings.bind(PrefsFields.TRACK_PRIMARY, trackPrimary, 'active', Gio.SettingsBindFlags.DEFAULT);
+        primaryGroup.add(trackPrimary);
+
+        const historyModes = ['merged', 'separate'];
+        const primaryHistory = new Adw.ComboRow({
+            title: tr('primary-history'),
+            model: (() => {
+                const list = new Gtk.StringList();
+                historyModes.forEach(m => list.append(tr(`primary-history-${m}`)));
+                return list;
+            })()
+        });
+        primaryHistory.set_selected(Math.max(0, historyModes.indexOf(settings.get_string(PrefsFields.PRIMARY_HISTORY))));
+        primaryHistory.connect('notify::selected', () => {
+            settings.set_string(PrefsFields.PRIMARY_HISTORY, historyModes[primaryHistory.selected] ?? 'merged');
+        });
+        settings.bind(PrefsFields.TRACK_PRIMARY, primaryHistory, 'sensitive', Gio.SettingsBindFlags.GET);
+        primaryGroup.add(primaryHistory);
+
+        const syncModes = ['none', 'clipboard-to-primary', 'primary-to-clipboard'];
+        const selectionSync = new Adw.ComboRow({
+            title: tr('selection-sync'),
+            model: (() => {
+                const list = new Gtk.StringList();
+                syncModes.forEach(m => list.append(tr(`selection-sync-${m}`)));
+                return list;
+            })()
+        });
+        selectionSync.set_selected(Math.max(0, syncModes.indexOf(settings.get_string(PrefsFields.SELECTION_SYNC))));
+        selectionSync.connect('notify::selected', () => {
+            settings.set_string(PrefsFields.SELECTION_SYNC, syncModes[selectionSync.selected] ?? 'none');
+        });
+        primaryGroup.add(selectionSync);
+
+        page.add(primaryGroup);
+
+        // ════════════ Sync ════════════
         const syncGroup = new Adw.PreferencesGroup({ title: tr('sync-group') });
 
         const syncEnabled = new Adw.SwitchRow({ title: tr('sync-enabled') });
         settings.bind(PrefsFields.SYNC_ENABLED, syncEnabled, 'active', Gio.SettingsBindFlags.DEFAULT);
         syncGroup.add(syncEnabled);
 
+        const syncKdeConnect = new Adw.SwitchRow({
+            title: tr('sync-kdeconnect'),
+            subtitle: tr('sync-kdeconnect-desc')
+        });
+        settings.bind(PrefsFields.SYNC_KDECONNECT, syncKdeConnect, 'active', Gio.SettingsBindFlags.DEFAULT);
+        syncGroup.add(syncKdeConnect);
+
+        syncGroup.add(this.#createSyncProviderRow(settings, PrefsFields.SYNC_DBUS, {
+            title: tr('sync-dbus'),
+            subtitle: tr('sync-dbus-desc'),
+            fields: [
+                [PrefsFields.SYNC_DBUS_NAME, tr('sync-dbus-name')],
+                [PrefsFields.SYNC_DBUS_PATH, tr('sync-dbus-path')],
+                [PrefsFields.SYNC_DBUS_INTERFACE, tr('sync-dbus-interface')],
+            ]
+        }));
+        syncGroup.add(this.#createSyncProviderRow(settings, PrefsFields.SYNC_FOLDER, {
+            title: tr('sync-folder'),
+            subtitle: tr('sync-folder-desc'),
+            fields: [[PrefsFields.SYNC_FOLDER_PATH, tr('sync-folder-path')]]
+        }));
+
+        const syncQueuePersist = new Adw.SwitchRow({
+            title: tr('sync-queue-persist'),
+            subtitle: tr('sync-queue-persist-desc')
+        });
+        settings.bind(PrefsFields.SYNC_QUEUE_PERSIST, syncQueuePersist, 'active', Gio.SettingsBindFlags.DEFAULT);
+        syncGroup.add(syncQueuePersist);
+
+        syncGroup.add(this.#createSyncDirectionRow(settings, {
+            title: tr('sync-send'),
+            subtitle: tr('sync-send-desc'),
+            enabledPref: PrefsFields.SYNC_SEND,
+            typesPref: PrefsFields.SYNC_SEND_TYPES,
+            maxKbPref: PrefsFields.SYNC_SEND_MAX_KB
+        }));
+
+        const receiveMode = new Adw.ComboRow({
+            title: tr('sync-receive-mode'),
+            model: (() => {
+                const list = new Gtk.StringList();
+                RECEIVE_MODES.forEach(m => list.append(tr(`sync-receive-mode-${m}`)));
+                return list;
+            })()
+        });
+        receiveMode.set_selected(Math.max(0, RECEIVE_MODES.indexOf(settings.get_string(PrefsFields.SYNC_RECEIVE_MODE))));
+        receiveMode.connect('notify::selected', () => {
+            settings.set_string(PrefsFields.SYNC_RECEIVE_MODE, RECEIVE_MODES[receiveMode.selected] ?? 'clipboard');
+        });
+        syncGroup.add(this.#createSyncDirectionRow(settings, {
+            title: tr('sync-receive'),
+            subtitle: tr('sync-receive-desc'),
+            enabledPref: PrefsFields.SYNC_RECEIVE,
+            typesPref: PrefsFields.SYNC_RECEIVE_TYPES,
+            maxKbPref: PrefsFields.SYNC_RECEIVE_MAX_KB,
+            extraRows: [receiveMode]
+        }));
+
         page.add(syncGroup);
 
         // ════════════ Shortcuts ════════════
@@ -106,6 +449,29 @@ export default class ClipboardIndicatorPreferences extends ExtensionPreferences
         toggleMenuRow.add_suffix(this.#createShortcutButton(settings, PrefsFields.BINDING_TOGGLE_MENU));
         shortcutsGroup.add(toggleMenuRow);
 
+        const privateModeRow = new Adw.ActionRow({ title: tr('toggle-private-mode') });
+        privateModeRow.add_suffix(this.#createShortcutButton(settings, PrefsFields.BINDING_PRIVATE_MODE));
+        shortcutsGroup.add(privateModeRow);
+
+        const cyclePreviousRow = new Adw.ActionRow({ title: tr('cycle-previous') });
+        cyclePreviousRow.add_suffix(this.#createShortcutButton(settings, PrefsFields.BINDING_CYCLE_PREVIOUS));
+        shortcutsGroup.add(cyclePreviousRow);
+
+        const cycleNextRow = new Adw.ActionRow({ title: tr('cycle-next') });
+        cycleNextRow.add_suffix(this.#createShortcutButton(settings, PrefsFields.BINDING_CYCLE_NEXT));
+        shortcutsGroup.add(cycleNextRow);
+
+        const typeOutRow = new Adw.ActionRow({ title: tr('type-out') });
+        typeOutRow.add_suffix(this.#createShortcutButton(settings, PrefsFields.BINDING_TYPE_OUT));
+        shortcutsGroup.add(typeOutRow);
+
+        const cancelTypeOutRow = new Adw.ActionRow({ title: tr('cancel-type-out') });
+        cancelTypeOutRow.add_suffix(this.#createShortcutButton(settings, PrefsFields.BINDING_CANCEL_TYPE_OUT));
+        shortcutsGroup.add(cancelTypeOutRow);
+
+        shortcutsGroup.add(this.#createQuickPasteRow(settings, PASTE_RECENT_BINDINGS, tr('paste-recent')));
+        shortcutsGroup.add(this.#createQuickPasteRow(settings, PASTE_PINNED_BINDINGS, tr('paste-pinned')));
+
         page.add(shortcutsGroup);
 
         // ════════════ Logging ════════════
@@ -140,6 +506,411 @@ export default class ClipboardIndicatorPreferences extends ExtensionPreferences
         page.add(loggingGroup);
 
         window.add(page);
+        window.add(this.#createSnippetsPage(window));
+    }
+
+    /**
+     * Page editing the snippet library.  Edits are written to the snippets
+     * file shortly after typing stops, and when the window closes.
+     */
+    #createSnippetsPage (window) {
+        const store = new SnippetStore(this.uuid);
+        const page = new Adw.PreferencesPage({ title: tr('snippets'), icon_name: 'insert-text-symbolic' });
+        const group = new Adw.PreferencesGroup({ title: tr('snippets'), description: tr('snippets-desc') });
+        const addButton = new Gtk.Button({
+            icon_name: 'list-add-symbolic',
+            tooltip_text: tr('add-snippet'),
+            valign: Gtk.Align.CENTER,
+            css_classes: ['flat']
+        });
+        group.set_header_suffix(addButton);
+        page.add(group);
+
+        let snippets = [];
+        let saveTimeout = null;
+        const flush = () => {
+            if (saveTimeout) { clearTimeout(saveTimeout); saveTimeout = null; }
+            store.save(snippets.filter(s => s.name || s.text))
+                .catch(e => console.error('Clipboard Indicator: cannot save snippets', e));
+        };
+        const save = () => {
+            if (saveTimeout) clearTimeout(saveTimeout);
+            saveTimeout = setTimeout(flush, 500);
+        };
+        window.connect('close-request', () => {
+            if (saveTimeout) flush();
+            return false;
+        });
+
+        const addRow = (snippet, expanded = false) => {
+            const row = new Adw.ExpanderRow({ use_markup: false, expanded });
+            const updateTitle = () => {
+                row.set_title(snippetTitle(snippet) || tr('untitled-snippet'));
+                row.set_subtitle(snippet.folder);
+            };
+            updateTitle();
+
+            const nameRow = new Adw.EntryRow({ title: tr('snippet-name'), text: snippet.name });
+            nameRow.connect('changed', () => {
+                snippet.name = nameRow.get_text();
+                updateTitle();
+                save();
+            });
+            row.add_row(nameRow);
+
+            const folderRow = new Adw.EntryRow({ title: tr('snippet-folder'), text: snippet.folder });
+            folderRow.connect('changed', () => {
+                snippet.folder = folderRow.get_text().trim();
+                updateTitle();
+                save();
+            });
+            row.add_row(folderRow);
+
+            const textView = new Gtk.TextView({
+                wrap_mode: Gtk.WrapMode.WORD_CHAR,
+                monospace: true,
+                top_margin: 6, bottom_margin: 6, left_margin: 6, right_margin: 6
+            });
+            textView.buffer.set_text(snippet.text, -1);
+            textView.buffer.connect('changed', () => {
+                const { buffer } = textView;
+                snippet.text = buffer.get_text(buffer.get_start_iter(), buffer.get_end_iter(), false);
+                updateTitle();
+                save();
+            });
+            row.add_row(new Adw.PreferencesRow({
+                activatable: false,
+                child: new Gtk.ScrolledWindow({
+                    child: textView,
+                    min_content_height: 120,
+                    margin_top: 6, margin_bottom: 6, margin_start: 6, margin_end: 6
+                })
+            }));
+
+            const deleteRow = new Adw.ActionRow({ title: tr('delete-snippet'), activatable: true });
+            deleteRow.add_suffix(new Gtk.Image({ icon_name: 'user-trash-symbolic' }));
+            deleteRow.connect('activated', () => {
+                snippets = snippets.filter(s => s !== snippet);
+                group.remove(row);
+                flush();
+            });
+            row.add_row(deleteRow);
+
+            group.add(row);
+        };
+
+        addButton.connect('clicked', () => {
+            const snippet = createSnippet();
+            snippets.push(snippet);
+            addRow(snippet, true);
+        });
+
+        store.load().then(loaded => {
+            snippets = loaded;
+            const key = s => `${s.folder}\n${snippetTitle(s)}`;
+            [...snippets].sort((a, b) => key(a).localeCompare(key(b))).forEach(s => addRow(s));
+        }).catch(e => {
+            console.error('Clipboard Indicator: cannot read snippets', e);
+            // Saving now would replace the unreadable file with an empty one
+            addButton.sensitive = false;
+        });
+
+        return page;
+    }
+
+    /**
+     * Expander row whose switch turns a sync provider on, with an entry row
+     * per string setting; entries are saved when applied.
+     * @param {[string, string][]} fields  [pref, title] pairs
+     */
+    #createSyncProviderRow (settings, enabledPref, { title, subtitle, fields }) {
+        const expander = new Adw.ExpanderRow({ title, subtitle, show_enable_switch: true });
+        settings.bind(enabledPref, expander, 'enable-expansion', Gio.SettingsBindFlags.DEFAULT);
+
+        for (const [pref, fieldTitle] of fields) {
+            const row = new Adw.EntryRow({
+                title: fieldTitle,
+                text: settings.get_string(pref),
+                show_apply_button: true
+            });
+            row.connect('apply', () => settings.set_string(pref, row.text.trim()));
+            expander.add_row(row);
+        }
+        return expander;
+    }
+
+    /**
+     * Expander row whose switch turns one sync direction on, with a switch
+     * per kind of content and the size limit.
+     */
+    #createSyncDirectionRow (settings, { title, subtitle, enabledPref, typesPref, maxKbPref, extraRows = [] }) {
+        const expander = new Adw.ExpanderRow({ title, subtitle, show_enable_switch: true });
+        settings.bind(enabledPref, expander, 'enable-expansion', Gio.SettingsBindFlags.DEFAULT);
+
+        for (const type of SYNC_TYPES) {
+            const row = new Adw.SwitchRow({
+                title: tr(`sync-type-${type}`),
+                active: settings.get_strv(typesPref).includes(type)
+            });
+            row.connect('notify::active', () => {
+                const types = new Set(settings.get_strv(typesPref));
+                if (row.active) types.add(type);
+                else types.delete(type);
+                // Kept in SYNC_TYPES order
+                settings.set_strv(typesPref, SYNC_TYPES.filter(t => types.has(t)));
+            });
+            expander.add_row(row);
+        }
+
+        const maxKb = new Adw.SpinRow({
+            title: tr('sync-max-kb'),
+            subtitle: tr('sync-max-kb-desc'),
+            adjustment: new Gtk.Adjustment({
+                lower: 0, upper: 65536, step_increment: 64, page_increment: 1024
+            })
+        });
+        settings.bind(maxKbPref, maxKb, 'value', Gio.SettingsBindFlags.DEFAULT);
+        expander.add_row(maxKb);
+
+        extraRows.forEach(row => expander.add_row(row));
+        return expander;
+    }
+
+    /**
+     * Expander row with an enable switch editing a lifetime in minutes
+     * (0 = off) as an amount plus a minutes/hours/days unit.
+     */
+    #createRetentionRow (settings, pref, { title, subtitle }) {
+        const units = [1, 60, 24 * 60];
+        const expander = new Adw.ExpanderRow({ title, subtitle, show_enable_switch: true });
+
+        const amount = new Adw.SpinRow({
+            title: tr('retention-amount'),
+            adjustment: new Gtk.Adjustment({
+                lower: 1, upper: 365, step_increment: 1
+            })
+        });
+        const unit = new Adw.ComboRow({
+            title: tr('retention-unit'),
+            model: (() => {
+                const list = new Gtk.StringList();
+                [tr('unit-minutes'), tr('unit-hours'), tr('unit-days')].forEach(s => list.append(s));
+                return list;
+            })()
+        });
+        expander.add_row(amount);
+        expander.add_row(unit);
+
+        // Show the largest unit that divides the stored value evenly
+        const minutes = settings.get_int(pref);
+        const unitIdx = minutes > 0 ? units.findLastIndex(u => minutes % u === 0) : 1;
+        unit.set_selected(unitIdx);
+        amount.set_value(minutes > 0 ? minutes / units[unitIdx] : 24);
+        expander.set_enable_expansion(minutes > 0);
+
+        const save = () => {
+            const value = expander.enable_expansion
+                ? Math.round(amount.get_value()) * units[unit.selected] : 0;
+            if (settings.get_int(pref) !== value) settings.set_int(pref, value);
+        };
+        expander.connect('notify::enable-expansion', save);
+        amount.connect('notify::value', save);
+        unit.connect('notify::selected', save);
+
+        return expander;
+    }
+
+    /**
+     * Expander row editing a string-array key: one removable row per value
+     * plus an entry row to append new ones.  `extraRows` may supply more
+     * rows (e.g. pickers) placed under the entry; it receives the function
+     * that appends a value.
+     */
+    #createStringListRow (settings, pref, { title, subtitle, placeholder, validate, extraRows }) {
+        const expander = new Adw.ExpanderRow({ title, subtitle });
+        let valueRows = [];
+
+        const addValue = value => {
+            const values = settings.get_strv(pref);
+            if (!values.includes(value)) settings.set_strv(pref, [...values, value]);
+        };
+
+        const addRow = new Adw.EntryRow({ title: placeholder, show_apply_button: true });
+        addRow.connect('apply', () => {
+            const value = addRow.get_text().trim();
+            if (!value) return;
+            if (validate && !validate(value)) {
+                addRow.add_css_class('error');
+                return;
+            }
+            addRow.remove_css_class('error');
+            addValue(value);
+            addRow.set_text('');
+        });
+        expander.add_row(addRow);
+        extraRows?.(addValue).forEach(row => expander.add_row(row));
+
+        const refresh = () => {
+            valueRows.forEach(r => expander.remove(r));
+            valueRows = settings.get_strv(pref).map(value => {
+                const row = new Adw.ActionRow({ title: value, use_markup: false });
+                const removeBtn = new Gtk.Button({
+                    icon_name: 'user-trash-symbolic',
+                    has_frame: false,
+                    valign: Gtk.Align.CENTER
+                });
+                removeBtn.connect('clicked', () => {
+                    settings.set_strv(pref, settings.get_strv(pref).filter(v => v !== value));
+                });
+                row.add_suffix(removeBtn);
+                expander.add_row(row);
+                return row;
+            });
+        };
+        settings.connect(`changed::${pref}`, refresh);
+        refresh();
+
+        return expander;
+    }
+
+    /** Let the user pick an installed application; reports its app id. */
+    #chooseApp (parent, onChosen) {
+        const dialog = new Adw.Dialog({
+            title: tr('choose-app'),
+            content_width: 360,
+            content_height: 480
+        });
+
+        const search = new Gtk.SearchEntry({
+            placeholder_text: tr('search-apps'),
+            margin_start: 12, margin_end: 12, margin_top: 6, margin_bottom: 6
+        });
+        const list = new Gtk.ListBox({ css_classes: ['navigation-sidebar'] });
+
+        const apps = Gio.AppInfo.get_all()
+            .filter(app => app.should_show() && app.get_id())
+            .sort((a, b) => a.get_display_name().localeCompare(b.get_display_name()));
+        for (const app of apps) {
+            const row = new Adw.ActionRow({
+                title: app.get_display_name(),
+                subtitle: app.get_id(),
+                use_markup: false,
+                activatable: true
+            });
+            if (app.get_icon())
+                row.add_prefix(new Gtk.Image({ gicon: app.get_icon(), pixel_size: 32 }));
+            row.connect('activated', () => {
+                onChosen(app.get_id());
+                dialog.close();
+            });
+            row._searchText = `${app.get_display_name()} ${app.get_id()}`.toLowerCase();
+            list.append(row);
+        }
+        list.set_filter_func(row => row._searchText.includes(search.get_text().toLowerCase()));
+        search.connect('search-changed', () => list.invalidate_filter());
+
+        const box = new Gtk.Box({ orientation: Gtk.Orientation.VERTICAL });
+        box.append(search);
+        box.append(new Gtk.ScrolledWindow({ child: list, vexpand: true }));
+
+        const toolbar = new Adw.ToolbarView({ content: box });
+        toolbar.add_top_bar(new Adw.HeaderBar());
+        dialog.set_child(toolbar);
+        dialog.present(parent);
+    }
+
+    /**
+     * Expander row editing the per-application paste rules: one row per
+     * application with its method and a fallback.  Longer chains entered
+     * by hand keep their remaining methods.
+     */
+    #createPasteRulesRow (window, settings) {
+        const pref = PrefsFields.PASTE_RULES;
+        const expander = new Adw.ExpanderRow({ title: tr('paste-rules'), subtitle: tr('paste-rules-desc') });
+        const fallbacks = [null, ...PASTE_METHODS.filter(m => m !== PasteMethod.AUTO)];
+        let ruleRows = [];
+        let saving = false;
+
+        const rules = () => settings.get_strv(pref).map(parsePasteRule).filter(Boolean);
+        const save = list => {
+            settings.set_strv(pref, list.map(({ app, methods }) => formatPasteRule(app, methods)));
+        };
+        const addApp = app => {
+            const list = rules();
+            if (!list.some(rule => rule.app === app))
+                save([...list, { app, methods: [PasteMethod.CTRL_V] }]);
+        };
+        const dropDown = labels => new Gtk.DropDown({
+            model: Gtk.StringList.new(labels),
+            valign: Gtk.Align.CENTER
+        });
+
+        const addRow = new Adw.EntryRow({ title: tr('add-app-id'), show_apply_button: true });
+        addRow.connect('apply', () => {
+            const app = addRow.get_text().trim();
+            if (!app || app.includes('=')) return;
+            addApp(app);
+            addRow.set_text('');
+        });
+        expander.add_row(addRow);
+
+        const chooseRow = new Adw.ActionRow({ title: tr('choose-app'), activatable: true });
+        chooseRow.add_suffix(new Gtk.Image({ icon_name: 'list-add-symbolic' }));
+        chooseRow.connect('activated', () => this.#chooseApp(window, addApp));
+        expander.add_row(chooseRow);
+
+        const refresh = () => {
+            if (saving) return;
+            ruleRows.forEach(r => expander.remove(r));
+            ruleRows = rules().map(({ app, methods }) => {
+                const row = new Adw.ActionRow({ title: app, use_markup: false });
+
+                const method = dropDown(PASTE_METHODS.map(m => tr(`paste-method-${m}`)));
+                method.set_selected(PASTE_METHODS.indexOf(methods[0]));
+                const fallback = dropDown(fallbacks.map(m => tr(`paste-method-${m ?? 'none'}`)));
+                fallback.set_selected(Math.max(0, fallbacks.indexOf(methods[1] ?? null)));
+                fallback.tooltip_text = tr('paste-fallback');
+
+                const update = () => {
+                    const chain = [PASTE_METHODS[method.selected], fallbacks[fallback.selected],
+                        ...methods.slice(2)].filter(Boolean);
+                    // The row already shows the change; keep it and its popover
+                    saving = true;
+                    save(rules().map(rule => rule.app === app ? { app, methods: chain } : rule));
+                    saving = false;
+                };
+                method.connect('notify::selected', update);
+                fallback.connect('notify::selected', update);
+
+                const removeBtn = new Gtk.Button({
+                    icon_name: 'user-trash-symbolic',
+                    has_frame: false,
+                    valign: Gtk.Align.CENTER
+                });
+                removeBtn.connect('clicked', () => save(rules().filter(rule => rule.app !== app)));
+
+                row.add_suffix(method);
+                row.add_suffix(fallback);
+                row.add_suffix(removeBtn);
+                expander.add_row(row);
+                return row;
+            });
+        };
+        settings.connect(`changed::${pref}`, refresh);
+        refresh();
+
+        return expander;
+    }
+
+    /** Expander holding one shortcut per quick-paste slot. */
+    #createQuickPasteRow (settings, bindings, title) {
+        const expander = new Adw.ExpanderRow({ title, subtitle: tr('quick-paste-desc') });
+        bindings.forEach((pref, i) => {
+            const row = new Adw.ActionRow({ title: `${tr('entry')} ${i + 1}` });
+            row.add_suffix(this.#createShortcutButton(settings, pref));
+            expander.add_row(row);
+        });
+        return expander;
     }
 
     #createShortcutButton (settings, pref) {
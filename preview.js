@@ -0,0 +1,167 @@
+/**
+ * Large-item preview shown beside the history menu.
+ *
+ * Displays the full (multi-line) text of an entry, in monospace when it
+ * looks like code, or the image at a readable size, together with metadata:
+ * capture time, origin (local or MountLink), size, image dimensions and any
+ * extra formats.  The pane is a passive overlay — it never takes input.
+ */
+
+import GdkPixbuf from 'gi://GdkPixbuf';
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+import St from 'gi://St';
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+
+import { tr } from './locale.js';
+
+const MAX_PREVIEW_CHARS = 5000;
+const MAX_PREVIEW_LINES = 40;
+const MAX_IMAGE_SIZE    = 320;
+const MENU_GAP          = 8;
+
+// Cheap heuristic: braces/semicolons at line ends, arrows, common keywords
+// or indented blocks.
+const CODE_RE = /[{};]\s*$|=>|^\s*(?:def|class|function|import|const|let|var|return|#include|public|private)\b|^(?: {2,}|\t)\S/m;
+
+export class PreviewPane {
+    #box;
+    #meta;
+    #body;
+    #entry = null;
+
+    constructor () {
+        this.#box = new St.BoxLayout({
+            style_class: 'ci-preview-pane',
+            vertical: true,
+            reactive: false,
+            visible: false
+        });
+        this.#meta = new St.Label({ style_class: 'ci-preview-meta' });
+        this.#body = new St.Bin({ x_expand: true });
+        this.#box.add_child(this.#meta);
+        this.#box.add_child(this.#body);
+        Main.uiGroup.add_child(this.#box);
+    }
+
+    /** Entry currently shown, or null when hidden. */
+    get entry () { return this.#entry; }
+
+    /**
+     * @param {ClipboardEntry} entry     Loaded, see Registry.loadEntry().
+     * @param {Clutter.Actor} menuActor  The menu the pane sits beside.
+     * @param {Clutter.Actor} anchor     Item the pane is vertically aligned to.
+     */
+    show (entry, menuActor, anchor) {
+        this.#entry = entry;
+        const imageSize = entry.isImage() && !entry.isMasked() ? this.#imageSize(entry) : null;
+        this.#body.child?.destroy();
+        this.#body.set_child(this.#buildBody(entry, imageSize));
+        this.#meta.set_text(this.#describe(entry, imageSize));
+
+        Main.uiGroup.set_child_above_sibling(this.#box, null);
+        this.#box.show();
+        this.#place(menuActor, anchor);
+    }
+
+    hide () {
+        this.#entry = null;
+        this.#box.hide();
+        this.#body.child?.destroy();
+    }
+
+    destroy () {
+        this.#box.destroy();
+    }
+
+    // ── Private ──
+
+    #buildBody (entry, imageSize) {
+        if (entry.isMasked())
+            return new St.Label({ text: '••••••••', style_class: 'ci-preview-text' });
+
+        if (entry.isImage()) {
+            const [width, height] = imageSize;
+            return new St.Icon({
+                gicon: Gio.BytesIcon.new(entry.asBytes()),
+                icon_size: Math.min(MAX_IMAGE_SIZE, Math.max(width, height) || MAX_IMAGE_SIZE),
+                style_class: 'ci-preview-image'
+            });
+        }
+
+        let text = entry.isFileList()
+            ? entry.fileUris().map(uri => Gio.File.new_for_uri(uri).get_path() ?? uri).join('\n')
+            : entry.getStringValue();
+
+        let lines = text.split('\n');
+        let more = 0;
+        if (lines.length > MAX_PREVIEW_LINES) {
+            more = lines.length - MAX_PREVIEW_LINES;
+            lines = lines.slice(0, MAX_PREVIEW_LINES);
+        }
+        text = lines.join('\n');
+        if (text.length > MAX_PREVIEW_CHARS) text = `${text.slice(0, MAX_PREVIEW_CHARS)}…`;
+        if (more > 0) text += `\n… (${more} ${tr('preview-more-lines')})`;
+
+        const label = new St.Label({
+            text,
+            style_class: CODE_RE.test(text) ? 'ci-preview-text ci-preview-code' : 'ci-preview-text'
+        });
+        label.clutter_text.line_wrap = true;
+        return label;
+    }
+
+    #imageSize (entry) {
+        try {
+            const loader = new GdkPixbuf.PixbufLoader();
+            loader.write_bytes(entry.asBytes());
+            loader.close();
+            const pixbuf = loader.get_pixbuf();
+            return [pixbuf.get_width(), pixbuf.get_height()];
+        } catch (e) {
+            console.debug('Clipboard Indicator: preview cannot decode image', e);
+            return [0, 0];
+        }
+    }
+
+    #describe (entry, imageSize) {
+        const parts = [
+            GLib.DateTime.new_from_unix_local(Math.floor(entry.capturedAt() / 1000)).format('%x %X'),
+            entry.isRemote()
+                ? (entry.origin() ? `${tr('preview-remote')} (${entry.origin()})` : tr('preview-remote'))
+                : tr('preview-local'),
+        ];
+
+        if (entry.isMasked()) {
+            parts.push(tr(`sensitive-${entry.sensitiveKind()}`));
+            return parts.join(' · ');
+        }
+
+        if (imageSize?.[0]) parts.push(`${imageSize[0]} × ${imageSize[1]}`);
+        else if (entry.isText()) parts.push(`${[...entry.getStringValue()].length} ${tr('preview-chars')}`);
+        parts.push(GLib.format_size(entry.byteLength()));
+
+        if (entry.extraTargets().size > 0)
+            parts.push([...entry.extraTargets().keys()].join(', '));
+        return parts.join(' · ');
+    }
+
+    #place (menuActor, anchor) {
+        const [menuX, menuY] = menuActor.get_transformed_position();
+        const [menuW] = menuActor.get_transformed_size();
+        const [, anchorY] = anchor.get_transformed_position();
+        const [, , natW, natH] = this.#box.get_preferred_size();
+        const monitor = Main.layoutManager.findMonitorForActor(menuActor) ??
+            Main.layoutManager.primaryMonitor;
+
+        // Prefer the left side (the indicator usually sits on the right)
+        let x = menuX - natW - MENU_GAP;
+        if (x < monitor.x) x = menuX + menuW + MENU_GAP;
+        x = Math.max(monitor.x, Math.min(x, monitor.x + monitor.width - natW));
+
+        let y = Math.max(anchorY, menuY);
+        y = Math.max(monitor.y, Math.min(y, monitor.y + monitor.height - natH));
+
+        this.#box.set_position(Math.round(x), Math.round(y));
+    }
+}
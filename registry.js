@@ -1,159 +1,729 @@
+import GdkPixbuf from 'gi://GdkPixbuf';
 import GLib from 'gi://GLib';
 import Gio from 'gi://Gio';
-import St from 'gi://St';
+
+import { BlobStore } from './blobstore.js';
+import { HistoryCipher } from './cipher.js';
+
+const FILE_LIST_TARGETS = ['text/uri-list', 'x-special/gnome-copied-files'];
+
+/*
+ * Registry layout (version 3): a JSON header line
+ *   {"format": "clipboard-indicator-registry", "version": 3, "written": ms, "count": n}
+ * followed by one line per entry, oldest first.  Each line is either the
+ * entry record as JSON or, with encryption on, the sealed record in base64,
+ * so a truncated file still yields every complete line.  Image data and
+ * extra targets are referenced by blob name (see BlobStore); image records
+ * also carry the digest and size of the data, which then stays on disk
+ * until the entry is used (see Registry.loadEntry).
+ *
+ * Version 2 used the same layout but referenced image and targets files by
+ * path; version 1 was a bare JSON array, optionally sealed as a whole.
+ */
+const REGISTRY_FORMAT = 'clipboard-indicator-registry';
+const REGISTRY_VERSION = 3;
+
+// Unreferenced blobs are collected at most this often
+const COLLECT_INTERVAL = 3600 * 1000;
+// Per-entry files of version 2 and earlier, named by a 32-bit hash
+const LEGACY_FILE_RE = /^\d+(\.targets)?$/;
+// Image data kept in memory; beyond this the least recently used images
+// are dropped and read back from their blob when needed.
+const MAX_LOADED_BYTES = 32 * 1024 * 1024;
+// Longest side of the menu thumbnails, in pixels (room for HiDPI scaling)
+const THUMBNAIL_SIZE = 96;
+
+// MIGRATIONS[n] upgrades one record from version n to n + 1
+const MIGRATIONS = {
+    1: ({ pinned, remote, ...record }) => ({
+        ...record,
+        id: record.id ?? GLib.uuid_string_random(),
+        created: record.captured ?? Date.now(),
+        captured: record.captured ?? Date.now(),
+        flags: [pinned && 'pinned', remote && 'remote'].filter(Boolean),
+    }),
+    // Legacy paths stay valid for reading; the next write moves the data
+    // into the blob store.
+    2: ({ contents, ...record }) => record.mimetype?.startsWith('image/')
+        ? { ...record, blob: contents }
+        : { ...record, contents },
+};
 
 export class Registry {
-    constructor (uuid) {
+    #encrypt = false;
+    #cipher = null;
+    #keyUnavailable = false;
+    #needsMigration = false;
+    #readOnly;
+    #sizeLimit = Infinity;
+    #writing = null;
+    #pendingWrite = null;
+    #refs = new Map();          // blob name → number of entries using it
+    #blobNames = new WeakMap(); // entry → blob names in the current mode
+    #loaded = new Map();        // entry → bytes in memory, least recently used first
+    #storing = 0;
+    #queue = Promise.resolve();
+    #lastCollect = 0;
+
+    /**
+     * @param {string} uuid
+     * @param {{readOnly?: boolean}} [options]  A read-only registry never
+     *        modifies the cache, e.g. when opened by the command-line tool
+     *        while the extension is not running.
+     */
+    constructor (uuid, { readOnly = false } = {}) {
         this.uuid = uuid;
+        this.#readOnly = readOnly;
         this.REGISTRY_DIR = GLib.build_filenamev([GLib.get_user_cache_dir(), uuid]);
         this.REGISTRY_PATH = GLib.build_filenamev([this.REGISTRY_DIR, 'registry.txt']);
+        // Previous generation, kept by Gio.File.replace_contents()
+        this.BACKUP_PATH = `${this.REGISTRY_PATH}~`;
+        this.blobs = new BlobStore(GLib.build_filenamev([this.REGISTRY_DIR, 'blobs']));
+        // Named after the image blob they were made from
+        this.thumbnails = new BlobStore(GLib.build_filenamev([this.REGISTRY_DIR, 'thumbnails']));
     }
 
-    write (entries) {
-        const data = entries.map(entry => {
-            const item = { mimetype: entry.mimetype() };
-            if (entry.isText()) {
-                item.contents = entry.getStringValue();
-            } else if (entry.isImage()) {
-                item.contents = this.getEntryFilename(entry);
-                this.writeEntryFile(entry).catch(e =>
-                    console.error('Failed to write entry file:', e));
-            }
-            return item;
+    /** Upper bound on the registry file size, in MB. */
+    setSizeLimit (megabytes) {
+        this.#sizeLimit = megabytes * 1024 * 1024;
+    }
+
+    /**
+     * True when the history on disk is encrypted but no usable key could be
+     * loaded.  Writes are suspended so the unreadable history is not
+     * overwritten.
+     */
+    get keyUnavailable () { return this.#keyUnavailable; }
+
+    /**
+     * Switch at-rest encryption on or off.  Enabling loads the key from the
+     * keyring, creating it on first use.
+     * @returns {Promise<boolean>} false if the key could not be obtained
+     */
+    async setEncryption (enabled) {
+        this.#encrypt = enabled;
+        if (!enabled || this.#cipher) {
+            this.#keyUnavailable = false;
+            return true;
+        }
+        try {
+            this.#cipher = await HistoryCipher.load({ create: true });
+            this.#keyUnavailable = false;
+            return true;
+        } catch (e) {
+            console.error('Clipboard Indicator: history key unavailable', e);
+            this.#keyUnavailable = true;
+            return false;
+        }
+    }
+
+    /**
+     * Throw away history that cannot be decrypted so saving can resume.
+     * @returns {Promise<boolean>} false if encryption is on and still has no key
+     */
+    async discardUnreadable () {
+        if (this.#encrypt && !this.#cipher && !(await this.setEncryption(true)))
+            return false;
+        this.clearCacheFolder();
+        this.#keyUnavailable = false;
+        return true;
+    }
+
+    /**
+     * Save the history.  The registry is replaced atomically (temporary file
+     * and rename) and the previous generation is kept as a backup; an async
+     * write that is still in flight is never overtaken by an older one.
+     * @param {ClipboardEntry[]} entries  Oldest first.
+     * @param {{sync?: boolean}} [options]  Write synchronously, for shutdown.
+     */
+    write (entries, { sync = false } = {}) {
+        if (this.#keyUnavailable || this.#readOnly) return;
+
+        // Masked secrets live in memory only and never reach the disk
+        const stored = entries.filter(entry => !entry.isMasked());
+        const refs = new Map();
+        const lines = stored.map(entry => {
+            const record = this.#toRecord(entry);
+            for (const name of [record.blob, record.targets].filter(Boolean))
+                refs.set(name, (refs.get(name) ?? 0) + 1);
+            return { pinned: entry.isPinned(), line: this.#sealLine(JSON.stringify(record)) };
         });
+        // Entries left out below still count: they are in memory and will
+        // be written again.
+        this.#refs = refs;
 
-        GLib.mkdir_with_parents(this.REGISTRY_DIR, 0o775);
-        const file = Gio.file_new_for_path(this.REGISTRY_PATH);
+        // Over the size budget the oldest unpinned entries are left out of
+        // the file (they stay in memory until the next session).
+        const encoder = new TextEncoder();
+        let size = lines.reduce((sum, { line }) => sum + encoder.encode(line).length + 1, 0);
+        while (size > this.#sizeLimit) {
+            const idx = lines.findIndex(l => !l.pinned);
+            if (idx < 0) break;
+            size -= encoder.encode(lines[idx].line).length + 1;
+            lines.splice(idx, 1);
+        }
+
+        const header = { format: REGISTRY_FORMAT, version: REGISTRY_VERSION, written: Date.now(), count: lines.length };
         // TextEncoder produces UTF-8 bytes; GLib.Bytes(string) would use
         // Latin-1 per-code-unit semantics and corrupt non-ASCII text.
-        const bytes = new GLib.Bytes(new TextEncoder().encode(JSON.stringify(data)));
+        const bytes = encoder.encode([JSON.stringify(header), ...lines.map(l => l.line)].join('\n') + '\n');
 
-        file.replace_async(null, false, Gio.FileCreateFlags.NONE,
-            GLib.PRIORITY_DEFAULT, null, (obj, res) => {
-                try {
-                    let stream = obj.replace_finish(res);
-                    stream.write_bytes_async(bytes, GLib.PRIORITY_DEFAULT, null, (w, r) => {
-                        try {
-                            w.write_bytes_finish(r);
-                        } catch (e) { console.error(e); }
-                        finally { try { stream.close(null); } catch (_) {} }
-                    });
-                } catch (e) { console.error(e); }
-            });
+        GLib.mkdir_with_parents(this.REGISTRY_DIR, 0o775);
+        this.#commit(bytes, sync);
     }
 
-    async read (maxSize, maxCacheMB = 10) {
-        if (!GLib.file_test(this.REGISTRY_PATH, GLib.FileTest.EXISTS))
-            return [];
-
-        // Guard: if cache file exceeds max size, reset
+    /**
+     * Load the history, oldest first.  A damaged or truncated registry is
+     * salvaged line by line and completed from the backup generation.
+     * @param {number} maxSize  Unpinned entries to keep, 0 for all.
+     */
+    async read (maxSize) {
+        let main = null, mainError = null;
         try {
-            const file = Gio.file_new_for_path(this.REGISTRY_PATH);
-            const info = file.query_info('standard::size', Gio.FileQueryInfoFlags.NONE, null);
-            if (info.get_size() > maxCacheMB * 1024 * 1024) {
-                console.warn('Clipboard Indicator: cache file too large, resetting');
-                this.clearCacheFolder();
+            main = await this.#load(this.REGISTRY_PATH);
+        } catch (e) {
+            mainError = e;
+        }
+        if (!main && !mainError) return [];
+
+        let records = main?.records ?? [];
+        if (!main?.complete) {
+            let backup = null;
+            try {
+                backup = await this.#load(this.BACKUP_PATH);
+            } catch (e) {
+                console.error('Clipboard Indicator: registry backup unreadable', e);
+            }
+            if (!main && !backup) {
+                console.error('Clipboard Indicator: cannot read history', mainError);
+                // Only a missing key suspends saving; plain garbage is
+                // simply replaced (and kept as the backup) on the next write.
+                this.#keyUnavailable = mainError instanceof LockedError;
                 return [];
             }
-        } catch (e) { /* proceed anyway */ }
-
-        return new Promise(resolve => {
-            const file = Gio.file_new_for_path(this.REGISTRY_PATH);
+            // Truncation loses the newest lines, which the backup still has.
+            // Records migrated from version 1 may lack a stable id.
+            const key = r => `${r.mimetype}\0${r.contents}`;
+            const salvaged = new Set([...records.map(r => r.id), ...records.map(key)]);
+            records = [...records, ...(backup?.records ?? [])
+                .filter(r => !salvaged.has(r.id) && !salvaged.has(key(r)))];
+            console.warn(`Clipboard Indicator: registry damaged, recovered ${records.length} entries`);
+            this.#needsMigration = true;
+        }
 
-            file.load_contents_async(null, (obj, res) => {
-                try {
-                    let [success, contents] = obj.load_contents_finish(res);
-                    if (!success) { resolve([]); return; }
-
-                    const registry = JSON.parse(new TextDecoder().decode(contents));
-                    const promises = registry.map(json => ClipboardEntry.fromJSON(json));
-
-                    Promise.all(promises).then(entries => {
-                        entries = entries.filter(e => e !== null);
-                        // Keep only the newest maxSize entries
-                        while (maxSize && entries.length > maxSize) {
-                            entries.shift();
-                        }
-                        resolve(entries);
-                    }).catch(e => {
-                        console.error('Clipboard Indicator: registry read error', e);
-                        resolve([]);
-                    });
-                } catch (e) {
-                    console.error('Clipboard Indicator: registry parse error', e);
-                    resolve([]);
+        const loaded = await Promise.all(records.map(json => {
+            // Image data is read on demand, so check now that it is there
+            if (json.blob && !this.#hasBlob(json.blob)) {
+                console.warn(`Clipboard Indicator: image ${json.blob} is missing, skipping entry`);
+                return null;
+            }
+            return ClipboardEntry.fromJSON(json, ref => this.#readBlob(ref))
+                .catch(e => {
+                    console.error('Clipboard Indicator: skipping unreadable entry', e);
+                    return null;
+                });
+        }));
+        const entries = [];
+        loaded.forEach((entry, i) => {
+            if (!entry) return;
+            entries.push(entry);
+            const { blob = null, targets = null } = records[i];
+            for (const name of [blob, targets].filter(Boolean))
+                this.#refs.set(name, (this.#refs.get(name) ?? 0) + 1);
+            // Only names of the current mode can be reused without hashing
+            if (!this.#needsMigration) {
+                this.#blobNames.set(entry, {
+                    encrypted: this.#encrypt,
+                    targetsSource: entry.extraTargets(),
+                    image: blob,
+                    targets,
+                    reloadable: true,
+                });
+                // Records written before lazy loading lack the digest and
+                // were read in full
+                if (blob && entry.isLoaded()) {
+                    entry.setLoader(() => this.#readBlob(blob));
+                    this.#noteLoaded(entry);
                 }
-            });
+            }
         });
+
+        // Keep only the newest maxSize unpinned entries;
+        // pinned entries never count against the limit.
+        let unpinned = entries.filter(e => !e.isPinned()).length;
+        while (maxSize && unpinned > maxSize) {
+            const idx = entries.findIndex(e => !e.isPinned());
+            entries.splice(idx, 1);
+            unpinned--;
+        }
+        if (this.#readOnly) return entries;
+        if (this.#needsMigration) {
+            // Older format, recovered file, or a cache written in the
+            // other encryption mode; blob names change with the mode, so
+            // writing stores everything anew and collects the old files.
+            this.#needsMigration = false;
+            this.write(entries);
+        } else {
+            this.#collectGarbage();
+        }
+        return entries;
     }
 
-    getEntryFilename (entry) {
-        // Use unsigned hash to avoid negative numbers in filenames
-        const h = entry.asBytes().hash() >>> 0;
-        return GLib.build_filenamev([this.REGISTRY_DIR, String(h)]);
+    /**
+     * Make sure the data of an entry is in memory, e.g. before it is put on
+     * the clipboard or sent to MountLink.  Image data past MAX_LOADED_BYTES
+     * is dropped again, least recently used first.
+     * @returns {Promise<boolean>} false if the data could not be read back
+     */
+    async loadEntry (entry) {
+        if (!(await entry.load())) return false;
+        if (entry.isImage()) this.#noteLoaded(entry);
+        return true;
     }
 
-    async getEntryAsImage (entry) {
+    /**
+     * Menu icon for an image entry: a thumbnail made once per image and
+     * kept beside the blobs, so the menu never needs the original data.
+     */
+    async getEntryIcon (entry) {
         if (!entry.isImage()) return null;
-        const filename = this.getEntryFilename(entry);
 
-        if (!GLib.file_test(filename, GLib.FileTest.EXISTS)) {
-            await this.writeEntryFile(entry);
+        // Nowhere to keep the thumbnail; make one for this menu only
+        if (this.#keyUnavailable || this.#readOnly) {
+            const thumbnail = await this.#makeThumbnail(entry);
+            return thumbnail && Gio.BytesIcon.new(new GLib.Bytes(thumbnail));
+        }
+
+        const name = this.#blobsFor(entry).image;
+        let thumbnail = null;
+        if (!this.thumbnails.has(name)) {
+            thumbnail = await this.#makeThumbnail(entry);
+            if (!thumbnail) return null;
+            await this.thumbnails.put(name, this.#seal(thumbnail));
+        }
+        // Encrypted thumbnails cannot be loaded by path
+        if (!this.#encrypt) return Gio.icon_new_for_string(this.thumbnails.pathFor(name));
+        thumbnail ??= await this.#readBlob(name, this.thumbnails);
+        return thumbnail && Gio.BytesIcon.new(new GLib.Bytes(thumbnail));
+    }
+
+    /**
+     * Drop the references of a removed entry; blobs no other entry uses
+     * are deleted right away rather than at the next collection.
+     */
+    releaseEntry (entry) {
+        this.#loaded.delete(entry);
+        if (this.#readOnly) return;
+        const names = this.#blobNames.get(entry);
+        if (!names) return;
+        for (const name of [names.image, names.targets]) {
+            if (!name || !this.#refs.has(name)) continue;
+            const count = this.#refs.get(name) - 1;
+            if (count > 0) {
+                this.#refs.set(name, count);
+            } else {
+                this.#refs.delete(name);
+                this.blobs.delete(name);
+                if (name === names.image) this.thumbnails.delete(name);
+            }
+        }
+    }
+
+    clearCacheFolder () {
+        this.#refs.clear();
+        this.#loaded.clear();
+        this.blobs.collect(new Set());
+        this.thumbnails.collect(new Set());
+        try {
+            const folder = Gio.file_new_for_path(this.REGISTRY_DIR);
+            const enumerator = folder.enumerate_children(
+                'standard::name', Gio.FileQueryInfoFlags.NOFOLLOW_SYMLINKS, null);
+            let info;
+            while ((info = enumerator.next_file(null)) != null) {
+                const child = folder.get_child(info.get_name());
+                try { child.delete(null); } catch (e) { /* best-effort */ }
+            }
+        } catch (e) {
+            console.error('Clipboard Indicator: clear cache error', e);
+        }
+    }
+
+    // ── Private ──
+
+    #seal (bytes) {
+        return this.#encrypt ? this.#cipher.encrypt(bytes) : bytes;
+    }
+
+    #toRecord (entry) {
+        const record = {
+            id: entry.id(),
+            mimetype: entry.mimetype(),
+            created: entry.createdAt(),
+            captured: entry.capturedAt(),
+            flags: [
+                entry.isPinned() && 'pinned',
+                entry.isRemote() && 'remote',
+                entry.isPrimary() && 'primary',
+            ].filter(Boolean),
+        };
+        if (entry.isSensitive()) record.sensitive = entry.sensitiveKind();
+        if (entry.origin()) record.origin = entry.origin();
+        const names = this.#blobsFor(entry);
+        if (entry.isText()) {
+            record.contents = entry.getStringValue();
+        } else if (entry.isImage()) {
+            Object.assign(record, { blob: names.image, digest: entry.digest(), size: entry.byteLength() });
+            if (!names.reloadable) this.#storeImage(entry, names);
+        }
+        // Extra flavors (HTML, RTF, file lists) go to a blob so large
+        // documents do not bloat the registry itself.
+        if (names.targets) {
+            record.targets = names.targets;
+            this.#storeBlob(names.targets, () => _serializeTargets(entry));
+        }
+        return record;
+    }
+
+    /** Blob names of an entry in the current encryption mode, cached. */
+    #blobsFor (entry) {
+        let names = this.#blobNames.get(entry);
+        if (names?.encrypted === this.#encrypt && names.targetsSource === entry.extraTargets())
+            return names;
+
+        // Keyed names when encrypted: a plain SHA-256 would reveal whether
+        // the history holds some known image.  Images are named from their
+        // digest so that the data itself need not be in memory.
+        const nameOf = data => this.#encrypt ? this.#cipher.keyedDigest(data) : BlobStore.digest(data);
+        names = {
+            encrypted: this.#encrypt,
+            targetsSource: entry.extraTargets(),
+            image: null,
+            targets: null,
+            reloadable: false,
+        };
+        if (entry.isImage()) {
+            names.image = this.#encrypt
+                ? this.#cipher.keyedDigest(new TextEncoder().encode(entry.digest()))
+                : entry.digest();
+        }
+        if (entry.extraTargets().size > 0)
+            names.targets = nameOf(_serializeTargets(entry));
+        this.#blobNames.set(entry, names);
+        return names;
+    }
+
+    /**
+     * Store the image blob of an entry, then let its data be dropped from
+     * memory and read back from that blob.  When the name changed with the
+     * encryption mode, data not in memory is first read from the old blob,
+     * one image at a time.
+     */
+    #storeImage (entry, names) {
+        const wasLoaded = entry.isLoaded();
+        const store = () => this.#storeBlob(names.image, async () =>
+            (await entry.load()) ? entry.rawBytes() : null);
+        // Counted from now: a queued read of the old blob must not find it
+        // collected
+        this.#storing++;
+        (wasLoaded ? store() : this.#serial(store)).then(stored => {
+            if (!stored || names.reloadable) return;
+            names.reloadable = true;
+            entry.setLoader(() => this.#readBlob(names.image));
+            if (wasLoaded || this.#loaded.has(entry)) this.#noteLoaded(entry);
+            else entry.unload();
+        }).finally(() => this.#storing--);
+    }
+
+    /** @returns {Promise<boolean>} true once the blob is on disk */
+    async #storeBlob (name, produce) {
+        if (this.blobs.has(name)) return true;
+        this.#storing++;
+        try {
+            const data = await produce();
+            if (!data) return false;
+            await this.blobs.put(name, this.#seal(data));
+            return true;
+        } catch (e) {
+            console.error('Clipboard Indicator: cannot store blob', e);
+            return false;
+        } finally {
+            this.#storing--;
         }
+    }
 
-        return new St.Icon({ gicon: Gio.icon_new_for_string(filename) });
+    #hasBlob (ref) {
+        return ref.includes('/') ? GLib.file_test(ref, GLib.FileTest.EXISTS) : this.blobs.has(ref);
     }
 
-    async writeEntryFile (entry) {
-        const filename = this.getEntryFilename(entry);
-        if (GLib.file_test(filename, GLib.FileTest.EXISTS)) return;
+    /** Record `entry` as the most recently used image and trim the rest. */
+    #noteLoaded (entry) {
+        this.#loaded.delete(entry);
+        this.#loaded.set(entry, entry.byteLength());
+
+        let total = 0;
+        for (const size of this.#loaded.values()) total += size;
+        for (const [other, size] of this.#loaded) {
+            if (total <= MAX_LOADED_BYTES) break;
+            // Images not stored yet cannot be read back and stay
+            if (other === entry || !other.unload()) continue;
+            this.#loaded.delete(other);
+            total -= size;
+        }
+    }
 
-        const file = Gio.file_new_for_path(filename);
-        return new Promise((resolve, reject) => {
-            file.replace_async(null, false, Gio.FileCreateFlags.NONE,
-                GLib.PRIORITY_DEFAULT, null, (obj, res) => {
-                    try {
-                        let stream = obj.replace_finish(res);
-                        stream.write_bytes_async(entry.asBytes(), GLib.PRIORITY_DEFAULT, null, (w, r) => {
+    /** PNG thumbnail of an image entry, or null if it cannot be decoded. */
+    #makeThumbnail (entry) {
+        // Serialized so that filling the menu with screenshots reads back
+        // and decodes only one original at a time
+        return this.#serial(async () => {
+            if (!(await this.loadEntry(entry))) return null;
+            try {
+                const stream = Gio.MemoryInputStream.new_from_bytes(entry.asBytes());
+                const pixbuf = await new Promise((resolve, reject) => {
+                    GdkPixbuf.Pixbuf.new_from_stream_at_scale_async(stream,
+                        THUMBNAIL_SIZE, THUMBNAIL_SIZE, true, null, (obj, res) => {
                             try {
-                                w.write_bytes_finish(r);
-                                resolve();
+                                resolve(GdkPixbuf.Pixbuf.new_from_stream_finish(res));
                             } catch (e) { reject(e); }
-                            finally { try { stream.close(null); } catch (_) {} }
                         });
-                    } catch (e) { reject(e); }
                 });
+                const [, png] = pixbuf.save_to_bufferv('png', [], []);
+                return png;
+            } catch (e) {
+                console.debug('Clipboard Indicator: cannot make thumbnail', e);
+                return null;
+            }
         });
     }
 
-    deleteEntryFile (entry) {
-        const file = Gio.file_new_for_path(this.getEntryFilename(entry));
-        file.delete_async(GLib.PRIORITY_DEFAULT, null, (obj, res) => {
-            try { obj.delete_finish(res); } catch (e) { /* ignore: file may not exist */ }
-        });
+    /** Run `task` once the previously queued one has finished. */
+    #serial (task) {
+        const run = this.#queue.then(task);
+        this.#queue = run.catch(() => {});
+        return run;
     }
 
-    clearCacheFolder () {
+    /**
+     * Delete blobs no entry references, and the per-entry files of older
+     * registry versions.  Runs at startup and then at most once per
+     * COLLECT_INTERVAL, after a registry write has landed.
+     */
+    #collectGarbage () {
+        // Blobs being written or read back for a new name are not
+        // referenced yet; try again after the next registry write.
+        if (this.#readOnly || this.#keyUnavailable || this.#storing > 0) return;
+        this.#lastCollect = Date.now();
+
+        const live = new Set(this.#refs.keys());
+        const removed = this.blobs.collect(live);
+        this.thumbnails.collect(live);
         try {
-            const folder = Gio.file_new_for_path(this.REGISTRY_DIR);
+            const folder = Gio.File.new_for_path(this.REGISTRY_DIR);
             const enumerator = folder.enumerate_children(
                 'standard::name', Gio.FileQueryInfoFlags.NOFOLLOW_SYMLINKS, null);
             let info;
-            while ((info = enumerator.next_file(null)) != null) {
-                const child = folder.get_child(info.get_name());
-                try { child.delete(null); } catch (e) { /* best-effort */ }
+            while ((info = enumerator.next_file(null)) !== null) {
+                if (LEGACY_FILE_RE.test(info.get_name()))
+                    folder.get_child(info.get_name()).delete_async(GLib.PRIORITY_DEFAULT, null, null);
             }
+            enumerator.close(null);
         } catch (e) {
-            console.error('Clipboard Indicator: clear cache error', e);
+            console.error('Clipboard Indicator: legacy file cleanup failed', e);
+        }
+        if (removed > 0) console.debug(`Clipboard Indicator: collected ${removed} unused blobs`);
+    }
+
+    #sealLine (json) {
+        if (!this.#encrypt) return json;
+        return GLib.base64_encode(this.#cipher.encrypt(new TextEncoder().encode(json)));
+    }
+
+    /** Inverse of #sealLine; throws if a sealed line fails authentication. */
+    async #openLine (line) {
+        if (line.startsWith('{')) {
+            if (this.#encrypt) this.#needsMigration = true;
+            return line;
+        }
+        return new TextDecoder().decode(await this.#open(GLib.base64_decode(line)));
+    }
+
+    /**
+     * Read one registry generation.
+     * @returns {Promise<{records: object[], complete: boolean}|null>} null if
+     *          the file does not exist; records are migrated to the current
+     *          version.  Throws if nothing in the file can be read.
+     */
+    async #load (path) {
+        const contents = await _loadFileContents(path);
+        if (contents === null) return null;
+
+        let version, records, complete = true;
+        const text = new TextDecoder().decode(contents);
+        if (HistoryCipher.isEncrypted(contents) || text.trimStart().startsWith('[')) {
+            // Version 1: a single JSON array, sealed as a whole when encrypted
+            version = 1;
+            records = JSON.parse(new TextDecoder().decode(await this.#open(contents)));
+        } else {
+            ({ version, records, complete } = await this.#parseLines(text));
+        }
+
+        if (version < REGISTRY_VERSION) this.#needsMigration = true;
+        for (let v = version; v < REGISTRY_VERSION; v++)
+            records = records.map(MIGRATIONS[v]);
+        return { records, complete };
+    }
+
+    async #parseLines (text) {
+        const [first, ...lines] = text.split('\n').filter(line => line.length > 0);
+        let header = null;
+        try { header = JSON.parse(first); } catch (_) { /* handled below */ }
+        if (header?.format !== REGISTRY_FORMAT) throw new Error('Not a clipboard registry');
+        if (header.version > REGISTRY_VERSION)
+            console.warn(`Clipboard Indicator: registry version ${header.version} is newer than supported`);
+
+        const records = [];
+        let damaged = 0, lastError = null;
+        for (const line of lines) {
+            try {
+                records.push(JSON.parse(await this.#openLine(line)));
+            } catch (e) {
+                damaged++;
+                lastError = e;
+            }
+        }
+        // Nothing readable at all: most likely the wrong key, see LockedError
+        if (lines.length > 0 && records.length === 0) throw lastError;
+
+        return {
+            version: header.version,
+            records,
+            complete: damaged === 0 && records.length === header.count,
+        };
+    }
+
+    /**
+     * Replace the registry file.  Only one async write runs at a time; the
+     * newest pending data is written when it finishes.
+     */
+    #commit (bytes, sync) {
+        const file = Gio.file_new_for_path(this.REGISTRY_PATH);
+        if (sync) {
+            // An older async write must not land after this one
+            this.#writing?.cancel();
+            this.#writing = null;
+            this.#pendingWrite = null;
+            try {
+                file.replace_contents(bytes, null, true, Gio.FileCreateFlags.NONE, null);
+            } catch (e) {
+                console.error('Clipboard Indicator: registry write failed', e);
+            }
+            return;
+        }
+        if (this.#writing) {
+            this.#pendingWrite = bytes;
+            return;
+        }
+
+        const cancellable = new Gio.Cancellable();
+        this.#writing = cancellable;
+        file.replace_contents_bytes_async(new GLib.Bytes(bytes), null, true,
+            Gio.FileCreateFlags.NONE, cancellable, (obj, res) => {
+                try {
+                    obj.replace_contents_finish(res);
+                } catch (e) {
+                    if (!e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED))
+                        console.error('Clipboard Indicator: registry write failed', e);
+                }
+                if (this.#writing !== cancellable) return;
+                this.#writing = null;
+                const next = this.#pendingWrite;
+                this.#pendingWrite = null;
+                if (next) this.#commit(next, false);
+                else if (Date.now() - this.#lastCollect > COLLECT_INTERVAL) this.#collectGarbage();
+            });
+    }
+
+    /**
+     * Decrypt file contents if needed, noting files whose format does not
+     * match the current mode.  Throws if encrypted data cannot be read.
+     */
+    async #open (contents) {
+        if (!HistoryCipher.isEncrypted(contents)) {
+            if (this.#encrypt) this.#needsMigration = true;
+            return contents;
+        }
+
+        if (!this.#encrypt) this.#needsMigration = true;
+        try {
+            // Encryption may have been switched off: the key is still needed
+            // once to migrate back to plaintext.
+            this.#cipher ??= await HistoryCipher.load({ create: false });
+            return this.#cipher.decrypt(contents);
+        } catch (e) {
+            throw new LockedError(e.message);
         }
     }
+
+    /** Load a blob by name, or a version 2 file by path. */
+    async #readBlob (ref, store = this.blobs) {
+        const contents = ref.includes('/')
+            ? await _loadFileContents(ref)
+            : await store.get(ref);
+        if (contents === null) return null;
+        try {
+            return await this.#open(contents);
+        } catch (e) {
+            // A single damaged blob only costs that entry
+            console.error('Clipboard Indicator: cannot decrypt blob', e);
+            return null;
+        }
+    }
+}
+
+/** Encrypted data that cannot be opened: no key, wrong key or tampering. */
+class LockedError extends Error {}
+
+function _serializeTargets (entry) {
+    const targets = {};
+    for (const [mimetype, data] of entry.extraTargets())
+        targets[mimetype] = GLib.base64_encode(data);
+    return new TextEncoder().encode(JSON.stringify(targets));
+}
+
+async function _loadFileContents (filename) {
+    if (!GLib.file_test(filename, GLib.FileTest.EXISTS)) return null;
+
+    const file = Gio.file_new_for_path(filename);
+    return new Promise((resolve, reject) => {
+        file.load_contents_async(null, (obj, res) => {
+            try {
+                let [success, data] = obj.load_contents_finish(res);
+                success ? resolve(data) : reject(new Error(`Failed to read ${filename}`));
+            } catch (e) { reject(e); }
+        });
+    });
 }
 
 export class ClipboardEntry {
+    #id = GLib.uuid_string_random();
     #mimetype;
     #bytes;
     #glibBytes = null;
     #cachedString = null;
+    #pinned = false;
+    #sensitive = null;
+    #masked = false;
+    #expiresAt = 0;
+    #digest = null;
+    #size = 0;
+    #loader = null;
+    #loading = null;
+    #createdAt = Date.now();
+    #capturedAt = this.#createdAt;
+    #remote = false;
+    #origin = '';
+    #primary = false;
+    #extraTargets = new Map();
 
     static __isText (mimetype) {
         return mimetype.startsWith('text/') ||
@@ -161,29 +731,53 @@ export class ClipboardEntry {
             mimetype === 'UTF8_STRING';
     }
 
-    static async fromJSON (json) {
+    /**
+     * @param {object} json  One registry record, in the current version.
+     * @param {(ref: string) => Promise<Uint8Array|null>} readFile
+     *        Loader for the image and targets blobs referenced by the record.
+     */
+    static async fromJSON (json, readFile) {
         const mimetype = json.mimetype || 'text/plain;charset=utf-8';
         let bytes;
 
         if (ClipboardEntry.__isText(mimetype)) {
             bytes = new TextEncoder().encode(json.contents);
+        } else if (json.digest && Number.isInteger(json.size)) {
+            // Read on first use, see load()
+            bytes = null;
         } else {
-            // Image: contents is the file path
-            const filename = json.contents;
-            if (!GLib.file_test(filename, GLib.FileTest.EXISTS)) return null;
-
-            const file = Gio.file_new_for_path(filename);
-            bytes = await new Promise((resolve, reject) => {
-                file.load_contents_async(null, (obj, res) => {
-                    try {
-                        let [success, data] = obj.load_contents_finish(res);
-                        success ? resolve(data) : reject(new Error('Failed to read cached image'));
-                    } catch (e) { reject(e); }
-                });
-            });
+            bytes = await readFile(json.blob);
+            if (!bytes) return null;
         }
 
-        return new ClipboardEntry(mimetype, bytes);
+        const entry = new ClipboardEntry(mimetype, bytes);
+        if (bytes === null) {
+            entry.#digest = json.digest;
+            entry.#size = json.size;
+            entry.setLoader(() => readFile(json.blob));
+        }
+        if (json.targets) {
+            // A missing or damaged side file only loses the extra flavors
+            try {
+                const data = await readFile(json.targets);
+                if (data) {
+                    const targets = JSON.parse(new TextDecoder().decode(data));
+                    entry.setExtraTargets(new Map(Object.entries(targets)
+                        .map(([type, b64]) => [type, GLib.base64_decode(b64)])));
+                }
+            } catch (e) {
+                console.error('Clipboard Indicator: cannot load extra targets', e);
+            }
+        }
+        const flags = json.flags ?? [];
+        if (json.id) entry.setId(json.id);
+        entry.setPinned(flags.includes('pinned'));
+        if (json.sensitive) entry.markSensitive(json.sensitive);
+        if (flags.includes('remote')) entry.markRemote(json.origin);
+        if (flags.includes('primary')) entry.markPrimary();
+        if (json.created) entry.setCreatedAt(json.created);
+        if (json.captured) entry.setCapturedAt(json.captured);
+        return entry;
     }
 
     constructor (mimetype, bytes) {
@@ -194,23 +788,113 @@ export class ClipboardEntry {
     getStringValue () {
         if (this.#cachedString !== null) return this.#cachedString;
         this.#cachedString = this.isImage()
-            ? `[Image ${this.asBytes().hash()}]`
+            ? `[Image ${this.digest()}]`
             : new TextDecoder().decode(this.#bytes);
         return this.#cachedString;
     }
 
+    /** Stable identifier, persisted with the entry and used over D-Bus. */
+    id ()        { return this.#id; }
     mimetype ()  { return this.#mimetype; }
     isText ()    { return ClipboardEntry.__isText(this.#mimetype); }
     isImage ()   { return this.#mimetype.startsWith('image/'); }
-    asBytes ()   { return this.#glibBytes ??= GLib.Bytes.new(this.#bytes); }
+    /** Primary data; null for an image that is not loaded, see load(). */
+    asBytes ()   { return this.#bytes && (this.#glibBytes ??= GLib.Bytes.new(this.#bytes)); }
     rawBytes ()  { return this.#bytes; }
+    /** Size of the primary data, known even when it is not loaded. */
+    byteLength () { return this.#bytes?.length ?? this.#size; }
+    isLoaded ()  { return this.#bytes !== null; }
+    /** Hex SHA-256 of the primary content. */
+    digest ()    { return this.#digest ??= BlobStore.digest(this.#bytes); }
+    isPinned ()  { return this.#pinned; }
+    isSensitive () { return this.#sensitive !== null; }
+    isMasked ()  { return this.#masked; }
+    sensitiveKind () { return this.#sensitive; }
+    /** Unix time in ms after which the entry is dropped, or 0 for never. */
+    expiresAt () { return this.#expiresAt; }
+    /** Unix time in ms the entry was first copied. */
+    createdAt () { return this.#createdAt; }
+    /** Unix time in ms the entry was last copied. */
+    capturedAt () { return this.#capturedAt; }
+    /** True if the entry was received from MountLink. */
+    isRemote ()  { return this.#remote; }
+    /** Name of the device a remote entry came from, if it said. */
+    origin ()    { return this.#origin; }
+    /** True if the entry was captured from the primary (middle-click) selection. */
+    isPrimary () { return this.#primary; }
+    /** Flavors offered besides the primary one, mimetype → raw bytes. */
+    extraTargets () { return this.#extraTargets; }
+    isFileList () {
+        return FILE_LIST_TARGETS.some(t => t === this.#mimetype || this.#extraTargets.has(t));
+    }
 
-    equals (other) {
-        if (this.isImage() && other.isImage()) {
-            // Compare both hash and byte length to reduce collision risk
-            return this.asBytes().hash() === other.asBytes().hash() &&
-                   this.asBytes().get_size() === other.asBytes().get_size();
+    /** URIs of copied files, from text/uri-list or GNOME's copied-files target. */
+    fileUris () {
+        for (const target of FILE_LIST_TARGETS) {
+            const data = target === this.#mimetype ? this.#bytes : this.#extraTargets.get(target);
+            if (!data) continue;
+            return new TextDecoder().decode(data).split(/\r?\n/)
+                .map(line => line.trim())
+                .filter(line => line && !line.startsWith('#') && line !== 'copy' && line !== 'cut');
         }
+        return [];
+    }
+
+    setId (id)   { this.#id = id; }
+
+    /**
+     * Make the primary data reloadable, so that unload() may drop it.
+     * @param {() => Promise<Uint8Array|null>} loader
+     */
+    setLoader (loader) { this.#loader = loader; }
+
+    /**
+     * Read the primary data back if it was dropped.
+     * @returns {Promise<boolean>} false if it cannot be read
+     */
+    async load () {
+        if (this.#bytes) return true;
+        if (!this.#loader) return false;
+        this.#loading ??= this.#loader()
+            .catch(e => {
+                console.error('Clipboard Indicator: cannot load entry data', e);
+                return null;
+            })
+            .finally(() => { this.#loading = null; });
+        this.#bytes ??= await this.#loading;
+        return this.#bytes !== null;
+    }
+
+    /** Drop the primary data from memory; only possible with a loader. */
+    unload () {
+        if (!this.#loader || !this.#bytes) return false;
+        this.digest();
+        this.#size = this.#bytes.length;
+        this.#bytes = null;
+        this.#glibBytes = null;
+        return true;
+    }
+    setPinned (pinned) { this.#pinned = pinned; }
+
+    markSensitive (kind, masked = false) {
+        this.#sensitive = kind;
+        this.#masked = masked;
+    }
+
+    setExtraTargets (targets) { this.#extraTargets = targets; }
+    setExpiresAt (time) { this.#expiresAt = time; }
+    setCreatedAt (time) { this.#createdAt = time; }
+    setCapturedAt (time) { this.#capturedAt = time; }
+    touch ()     { this.#capturedAt = Date.now(); }
+    markRemote (origin = '') {
+        this.#remote = true;
+        this.#origin = origin ?? '';
+    }
+    markPrimary () { this.#primary = true; }
+
+    equals (other) {
+        if (this.isImage() && other.isImage())
+            return this.digest() === other.digest();
         return this.getStringValue() === other.getStringValue();
     }
 }
@@ -0,0 +1,52 @@
+/**
+ * Selection source offering several clipboard targets at once.
+ *
+ * St.Clipboard.set_content() can only publish a single mimetype, which
+ * would strip the HTML/RTF/file-list flavors from a restored entry.  This
+ * source serves every stored target from memory; mutter calls the vfuncs
+ * when a client asks for one of them.
+ */
+
+import GObject from 'gi://GObject';
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+import Meta from 'gi://Meta';
+
+export const MultiTargetSource = GObject.registerClass({
+    GTypeName: 'ClipboardIndicatorMultiTargetSource'
+}, class MultiTargetSource extends Meta.SelectionSource {
+    /**
+     * @param {Map<string, Uint8Array>} targets  mimetype → data, in order
+     *        of preference.
+     */
+    _init (targets) {
+        super._init();
+        this._targets = targets;
+        this._pendingReads = new Map();
+    }
+
+    vfunc_get_mimetypes () {
+        return [...this._targets.keys()];
+    }
+
+    vfunc_read_async (mimetype, cancellable, callback) {
+        const task = Gio.Task.new(this, cancellable, callback);
+        if (!this._targets.has(mimetype)) {
+            task.return_error(new GLib.Error(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND,
+                `Target ${mimetype} not offered`));
+            return;
+        }
+        // The task cannot carry JS data, so remember what was asked for
+        this._pendingReads.set(task, mimetype);
+        task.return_boolean(true);
+    }
+
+    vfunc_read_finish (result) {
+        const mimetype = this._pendingReads.get(result);
+        this._pendingReads.delete(result);
+        result.propagate_boolean();
+
+        const data = this._targets.get(mimetype);
+        return Gio.MemoryInputStream.new_from_bytes(new GLib.Bytes(data));
+    }
+});
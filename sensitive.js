@@ -0,0 +1,137 @@
+/**
+ * Sensitive clipboard content detection.
+ *
+ * Classifies clipboard entries before they reach the history or MountLink.
+ * A detector is a plain object `{ kind, detect(entry, mimetypes) }` that
+ * returns true when the entry looks like a secret; the first match wins and
+ * its `kind` is reported back to the caller, which decides what to do with
+ * the entry (see SensitivePolicy).
+ *
+ * Built-in detectors cover password-manager mimetype hints, private keys,
+ * JWTs, well-known API key formats and credit card numbers.  User-defined
+ * regular expressions from settings are checked last.
+ */
+
+export const SensitivePolicy = {
+    IGNORE     : 'ignore',       // do not store or sync at all
+    MASK       : 'mask',         // keep in memory only, masked, until expiry
+    LOCAL_ONLY : 'local-only',   // store normally but never sync
+};
+
+// Offered alongside the secret by KeePassXC, KWallet and friends
+const PASSWORD_MANAGER_HINTS = new Set([
+    'x-kde-passwordManagerHint',
+    'application/x-kde-passwordManagerHint',
+]);
+
+// Scanning megabytes of text with several regexes would stall the shell;
+// secrets worth catching are short.
+const MAX_SCAN_LENGTH = 64 * 1024;
+
+const PRIVATE_KEY_RE = /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----/;
+const JWT_RE = /\beyJ[A-Za-z0-9_-]{5,}\.eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{10,}/;
+const API_KEY_RE = new RegExp([
+    'AKIA[0-9A-Z]{16}',                  // AWS access key id
+    'gh[pousr]_[A-Za-z0-9]{36,}',        // GitHub tokens
+    'github_pat_[A-Za-z0-9_]{40,}',
+    'glpat-[A-Za-z0-9_-]{20,}',          // GitLab
+    'xox[abposr]-[A-Za-z0-9-]{10,}',     // Slack
+    'sk-[A-Za-z0-9_-]{20,}',             // OpenAI-style secret keys
+    'sk_live_[A-Za-z0-9]{16,}',          // Stripe
+    'AIza[0-9A-Za-z_-]{35}',             // Google API key
+].map(p => `\\b${p}`).join('|'));
+const CARD_CANDIDATE_RE = /(?:\d[ -]?){12,18}\d/g;
+
+const BUILTIN_DETECTORS = [
+    {
+        kind: 'password-manager',
+        detect: (_entry, mimetypes) => mimetypes.some(m => PASSWORD_MANAGER_HINTS.has(m)),
+    },
+    { kind: 'private-key', detect: entry => _testText(entry, PRIVATE_KEY_RE) },
+    { kind: 'jwt',         detect: entry => _testText(entry, JWT_RE) },
+    { kind: 'api-key',     detect: entry => _testText(entry, API_KEY_RE) },
+    {
+        kind: 'credit-card',
+        detect: entry => {
+            const text = _scanText(entry);
+            if (!text) return false;
+            for (const [match] of text.matchAll(CARD_CANDIDATE_RE)) {
+                if (_luhnValid(match.replace(/[ -]/g, ''))) return true;
+            }
+            return false;
+        },
+    },
+];
+
+export class SensitiveDetector {
+    #detectors = [...BUILTIN_DETECTORS];
+    #userPatterns = [];
+
+    /**
+     * Add a detector.  Detectors run in registration order, after the
+     * built-in ones and before user-defined patterns.
+     * @param {{kind: string, detect: (entry: object, mimetypes: string[]) => boolean}} detector
+     */
+    register (detector) {
+        this.#detectors.push(detector);
+    }
+
+    /**
+     * Replace the user-defined patterns.  Invalid expressions are skipped.
+     * @param {string[]} patterns
+     */
+    setUserPatterns (patterns) {
+        this.#userPatterns = [];
+        for (const p of patterns) {
+            if (!p) continue;
+            try {
+                this.#userPatterns.push(new RegExp(p, 'u'));
+            } catch (e) {
+                console.warn(`Clipboard Indicator: invalid sensitive pattern "${p}":`, e.message);
+            }
+        }
+    }
+
+    /**
+     * @param {ClipboardEntry} entry
+     * @param {string[]} mimetypes  Targets offered by the clipboard owner.
+     * @returns {string|null}  Kind of the first matching detector, or null.
+     */
+    classify (entry, mimetypes = []) {
+        for (const detector of this.#detectors) {
+            try {
+                if (detector.detect(entry, mimetypes)) return detector.kind;
+            } catch (e) {
+                console.error(`Clipboard Indicator: detector "${detector.kind}" failed`, e);
+            }
+        }
+        if (this.#userPatterns.some(re => _testText(entry, re)))
+            return 'custom';
+        return null;
+    }
+}
+
+function _scanText (entry) {
+    if (!entry.isText()) return null;
+    const text = entry.getStringValue();
+    return text.length > MAX_SCAN_LENGTH ? null : text;
+}
+
+function _testText (entry, re) {
+    const text = _scanText(entry);
+    return text !== null && re.test(text);
+}
+
+/** Luhn checksum, used to weed out random digit runs. */
+function _luhnValid (digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let d = digits.charCodeAt(digits.length - 1 - i) - 48;
+        if (i % 2 === 1) {
+            d *= 2;
+            if (d > 9) d -= 9;
+        }
+        sum += d;
+    }
+    return sum % 10 === 0;
+}
@@ -0,0 +1,230 @@
+/**
+ * Clipboard history D-Bus service.
+ *
+ * Exposes the history on the session bus so shell scripts, launcher plugins
+ * and tests can drive it without reading registry.txt.  The extension owns
+ * this name; it is unrelated to the MountLink client in sync.js.
+ *
+ *   Bus name:   org.gnome.Shell.Extensions.ClipboardIndicator
+ *   Object:     /org/gnome/Shell/Extensions/ClipboardIndicator
+ *   Interface:  org.gnome.Shell.Extensions.ClipboardIndicator
+ *
+ *   Method:  ListEntries() → aa{sv}         newest first; keys: id, mimetype,
+ *                                            preview, pinned, sensitive, masked,
+ *                                            remote, primary, selected,
+ *                                            captured, size
+ *   Method:  GetEntry(id: s) → (mimetype: s, data: ay)
+ *   Method:  SelectEntry(id: s)              makes it the clipboard content
+ *   Method:  DeleteEntry(id: s)
+ *   Method:  SetPinned(id: s, pinned: b)
+ *   Method:  Clear()                         pinned entries are kept
+ *   Method:  AddEntry(mimetype: s, data: ay) → id: s
+ *   Method:  SetPrivateMode(enabled: b)
+ *   Signal:  EntryAdded(id: s, mimetype: s)
+ *   Signal:  EntryRemoved(id: s)
+ *
+ * Unknown ids fail with org.freedesktop.DBus.Error.InvalidArgs; masked
+ * secrets cannot be read back and fail with AccessDenied.
+ */
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+export const BUS_NAME = 'org.gnome.Shell.Extensions.ClipboardIndicator';
+export const OBJ_PATH = '/org/gnome/Shell/Extensions/ClipboardIndicator';
+export const IFACE    = 'org.gnome.Shell.Extensions.ClipboardIndicator';
+
+const MAX_PREVIEW_LENGTH = 200;
+
+// Variant type of each ListEntries dictionary key
+const SUMMARY_TYPES = {
+    id: 's', mimetype: 's', preview: 's', pinned: 'b', sensitive: 's',
+    masked: 'b', remote: 'b', primary: 'b', selected: 'b', captured: 'x', size: 't',
+};
+
+const INTROSPECT_XML = `
+<node>
+  <interface name="${IFACE}">
+    <method name="ListEntries">
+      <arg name="entries"  type="aa{sv}" direction="out"/>
+    </method>
+    <method name="GetEntry">
+      <arg name="id"       type="s"  direction="in"/>
+      <arg name="mimetype" type="s"  direction="out"/>
+      <arg name="data"     type="ay" direction="out"/>
+    </method>
+    <method name="SelectEntry">
+      <arg name="id"       type="s"  direction="in"/>
+    </method>
+    <method name="DeleteEntry">
+      <arg name="id"       type="s"  direction="in"/>
+    </method>
+    <method name="SetPinned">
+      <arg name="id"       type="s"  direction="in"/>
+      <arg name="pinned"   type="b"  direction="in"/>
+    </method>
+    <method name="Clear"/>
+    <method name="AddEntry">
+      <arg name="mimetype" type="s"  direction="in"/>
+      <arg name="data"     type="ay" direction="in"/>
+      <arg name="id"       type="s"  direction="out"/>
+    </method>
+    <method name="SetPrivateMode">
+      <arg name="enabled"  type="b"  direction="in"/>
+    </method>
+    <signal name="EntryAdded">
+      <arg name="id"       type="s"/>
+      <arg name="mimetype" type="s"/>
+    </signal>
+    <signal name="EntryRemoved">
+      <arg name="id"       type="s"/>
+    </signal>
+  </interface>
+</node>`;
+
+export class HistoryService {
+    #host;
+    #dbus;
+    #ownerId = 0;
+
+    /**
+     * @param {object} host  Callbacks into the indicator:
+     *   listEntries() → [{entry, selected}], findEntry(id) → entry|null,
+     *   loadEntry(entry) → Promise<boolean>, selectEntry(id), deleteEntry(id),
+     *   setPinned(id, pinned), clear(), addEntry(mimetype, bytes) → entry,
+     *   setPrivateMode(enabled).
+     *   Methods taking an id return false when it is unknown.
+     */
+    constructor (host) {
+        this.#host = host;
+        this.#dbus = Gio.DBusExportedObject.wrapJSObject(INTROSPECT_XML, this);
+        this.#ownerId = Gio.bus_own_name(
+            Gio.BusType.SESSION,
+            BUS_NAME,
+            Gio.BusNameOwnerFlags.NONE,
+            connection => {
+                try {
+                    this.#dbus.export(connection, OBJ_PATH);
+                } catch (e) {
+                    console.error('Clipboard Indicator: cannot export D-Bus service', e);
+                }
+            },
+            null,
+            () => console.warn(`Clipboard Indicator: lost D-Bus name ${BUS_NAME}`)
+        );
+    }
+
+    /** @param {ClipboardEntry} entry */
+    emitEntryAdded (entry) {
+        this.#dbus.emit_signal('EntryAdded',
+            new GLib.Variant('(ss)', [entry.id(), entry.mimetype()]));
+    }
+
+    /** @param {ClipboardEntry} entry */
+    emitEntryRemoved (entry) {
+        this.#dbus.emit_signal('EntryRemoved', new GLib.Variant('(s)', [entry.id()]));
+    }
+
+    destroy () {
+        if (this.#ownerId) {
+            Gio.bus_unown_name(this.#ownerId);
+            this.#ownerId = 0;
+        }
+        this.#dbus.unexport();
+    }
+
+    // ── D-Bus methods ──
+
+    ListEntries () {
+        return this.#host.listEntries().map(({ entry, selected }) => {
+            const summary = describeEntry(entry, selected);
+            const dict = {};
+            for (const [key, type] of Object.entries(SUMMARY_TYPES))
+                dict[key] = new GLib.Variant(type, summary[key]);
+            return dict;
+        });
+    }
+
+    // Images may have to be read back from disk first
+    async GetEntryAsync ([id], invocation) {
+        const entry = this.#host.findEntry(id);
+        if (!entry) {
+            invocation.return_gerror(_unknownId(id));
+        } else if (entry.isMasked()) {
+            invocation.return_gerror(new GLib.Error(Gio.DBusError, Gio.DBusError.ACCESS_DENIED,
+                'Entry is a masked secret'));
+        } else if (!(await this.#host.loadEntry(entry))) {
+            invocation.return_gerror(new GLib.Error(Gio.DBusError, Gio.DBusError.FAILED,
+                'Entry data cannot be read'));
+        } else {
+            invocation.return_value(new GLib.Variant('(say)', [entry.mimetype(), entry.rawBytes()]));
+        }
+    }
+
+    SelectEntry (id) {
+        if (!this.#host.selectEntry(id)) throw _unknownId(id);
+    }
+
+    DeleteEntry (id) {
+        if (!this.#host.deleteEntry(id)) throw _unknownId(id);
+    }
+
+    SetPinned (id, pinned) {
+        if (!this.#host.setPinned(id, pinned)) throw _unknownId(id);
+    }
+
+    Clear () {
+        this.#host.clear();
+    }
+
+    AddEntry (mimetype, data) {
+        if (!mimetype.startsWith('text/') && !mimetype.startsWith('image/')) {
+            throw new GLib.Error(Gio.DBusError, Gio.DBusError.INVALID_ARGS,
+                `Unsupported mimetype ${mimetype}`);
+        }
+        if (data.length === 0)
+            throw new GLib.Error(Gio.DBusError, Gio.DBusError.INVALID_ARGS, 'Empty data');
+
+        // The host throws GLib errors itself, e.g. while in private mode
+        return this.#host.addEntry(mimetype, data).id();
+    }
+
+    SetPrivateMode (enabled) {
+        this.#host.setPrivateMode(enabled);
+    }
+}
+
+function _unknownId (id) {
+    return new GLib.Error(Gio.DBusError, Gio.DBusError.INVALID_ARGS, `No entry with id ${id}`);
+}
+
+/**
+ * Plain-object summary of an entry, as returned by ListEntries.  Shared
+ * with the command-line tool so its offline listing looks the same.
+ * @param {ClipboardEntry} entry
+ * @param {boolean} selected
+ */
+export function describeEntry (entry, selected = false) {
+    let preview;
+    if (entry.isMasked()) {
+        preview = '••••••••';
+    } else if (!entry.isText()) {
+        preview = `[${entry.mimetype()}]`;
+    } else {
+        const text = entry.getStringValue().replace(/\s+/g, ' ').trim();
+        preview = text.length > MAX_PREVIEW_LENGTH ? `${text.slice(0, MAX_PREVIEW_LENGTH)}…` : text;
+    }
+    return {
+        id:        entry.id(),
+        mimetype:  entry.mimetype(),
+        preview,
+        pinned:    entry.isPinned(),
+        sensitive: entry.sensitiveKind() ?? '',
+        masked:    entry.isMasked(),
+        remote:    entry.isRemote(),
+        primary:   entry.isPrimary(),
+        selected,
+        captured:  entry.capturedAt(),
+        size:      entry.byteLength(),
+    };
+}
@@ -0,0 +1,143 @@
+/**
+ * Snippet library: named text templates, organised into folders.
+ *
+ * Unlike the history, snippets are never trimmed or expired; they live in
+ * their own file in the user data folder, out of the history's cache folder
+ * that gets cleared.  The preferences window and the command-line tool
+ * write that file, the extension watches it.
+ *
+ * A snippet's text may hold placeholders, expanded when it is pasted:
+ *   {date}, {date:FORMAT}  current date (FORMAT as for GLib.DateTime.format)
+ *   {time}, {time:FORMAT}  current time
+ *   {clipboard}            current clipboard text
+ *   {cursor}               where the cursor goes after pasting
+ */
+
+import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+
+const SNIPPETS_VERSION = 1;
+const SNIPPETS_FILE = 'snippets.json';
+const PLACEHOLDER_RE = /\{(date|time|clipboard|cursor)(?::([^{}]*))?\}/g;
+const DEFAULT_FORMATS = { date: '%x', time: '%X' };
+
+export class SnippetStore {
+    #monitor = null;
+
+    constructor (uuid) {
+        this.path = GLib.build_filenamev([GLib.get_user_data_dir(), uuid, SNIPPETS_FILE]);
+    }
+
+    /** @returns {Promise<object[]>} the snippets, empty if there is no file yet */
+    async load () {
+        const file = Gio.File.new_for_path(this.path);
+        let contents;
+        try {
+            contents = await new Promise((resolve, reject) => {
+                file.load_contents_async(null, (obj, res) => {
+                    try {
+                        resolve(obj.load_contents_finish(res)[1]);
+                    } catch (e) { reject(e); }
+                });
+            });
+        } catch (e) {
+            if (e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND)) return [];
+            throw e;
+        }
+
+        const doc = JSON.parse(new TextDecoder().decode(contents));
+        if (doc?.version !== SNIPPETS_VERSION || !Array.isArray(doc.snippets))
+            throw new Error(`Unsupported snippets file version ${doc?.version}`);
+        return doc.snippets.map(normalizeSnippet).filter(Boolean);
+    }
+
+    /** Replace the file atomically with `snippets`. */
+    async save (snippets) {
+        GLib.mkdir_with_parents(GLib.path_get_dirname(this.path), 0o700);
+        const json = JSON.stringify({
+            version: SNIPPETS_VERSION,
+            snippets: snippets.map(normalizeSnippet).filter(Boolean),
+        }, null, 2);
+
+        const file = Gio.File.new_for_path(this.path);
+        await new Promise((resolve, reject) => {
+            file.replace_contents_bytes_async(new GLib.Bytes(new TextEncoder().encode(json)), null,
+                false, Gio.FileCreateFlags.PRIVATE, null, (obj, res) => {
+                    try {
+                        obj.replace_contents_finish(res);
+                        resolve();
+                    } catch (e) { reject(e); }
+                });
+        });
+    }
+
+    /** Call `onChanged` whenever the file is written, until destroy(). */
+    watch (onChanged) {
+        this.#monitor?.cancel();
+        this.#monitor = Gio.File.new_for_path(this.path).monitor_file(Gio.FileMonitorFlags.WATCH_MOVES, null);
+        this.#monitor.connect('changed', (_monitor, _file, _other, event) => {
+            if (event === Gio.FileMonitorEvent.CHANGES_DONE_HINT ||
+                event === Gio.FileMonitorEvent.RENAMED ||
+                event === Gio.FileMonitorEvent.MOVED_IN ||
+                event === Gio.FileMonitorEvent.DELETED)
+                onChanged();
+        });
+    }
+
+    destroy () {
+        this.#monitor?.cancel();
+        this.#monitor = null;
+    }
+}
+
+/** A new, empty snippet. */
+export function createSnippet (fields = {}) {
+    return normalizeSnippet({ id: GLib.uuid_string_random(), name: '', folder: '', text: '', ...fields });
+}
+
+/** @returns {object|null} the snippet with known fields only, null if unusable */
+export function normalizeSnippet (item) {
+    if (typeof item?.text !== 'string') return null;
+    return {
+        id: typeof item.id === 'string' && item.id ? item.id : GLib.uuid_string_random(),
+        name: typeof item.name === 'string' ? item.name : '',
+        folder: typeof item.folder === 'string' ? item.folder.trim() : '',
+        text: item.text,
+    };
+}
+
+/** Menu and list title: the name, or else the first line of the text. */
+export function snippetTitle (snippet) {
+    return snippet.name.trim() || snippet.text.split('\n', 1)[0].trim();
+}
+
+/**
+ * Expand the placeholders of `text`.  Inserted values are not expanded
+ * again, so clipboard content that looks like a placeholder stays as is.
+ * @param {string} text
+ * @param {{clipboard?: string, now?: GLib.DateTime}} values
+ * @returns {{text: string, cursorBack: number}} cursorBack: characters
+ *          between {cursor} (the first one) and the end, 0 if there is none
+ */
+export function expandSnippet (text, { clipboard = '', now = GLib.DateTime.new_now_local() } = {}) {
+    let out = '';
+    let cursorAt = -1;
+    let last = 0;
+    for (const match of text.matchAll(PLACEHOLDER_RE)) {
+        const [placeholder, name, format] = match;
+        out += text.slice(last, match.index);
+        last = match.index + placeholder.length;
+
+        if (name === 'cursor') {
+            if (cursorAt < 0) cursorAt = out.length;
+        } else if (name === 'clipboard') {
+            out += clipboard;
+        } else {
+            out += now.format(format || DEFAULT_FORMATS[name]) ?? placeholder;
+        }
+    }
+    out += text.slice(last);
+
+    const cursorBack = cursorAt < 0 ? 0 : [...out.slice(cursorAt)].length;
+    return { text: out, cursorBack };
+}
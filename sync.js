@@ -8,29 +8,78 @@
  * D-Bus contract (owned by MountLink Dart process):
  *   Bus name:   com.mountlink.ClipboardSync
  *   Object:     /com/mountlink/ClipboardSync
- *   Interface:  com.mountlink.ClipboardSync
  *
+ * v2, interface com.mountlink.ClipboardSync2 (used when MountLink has it):
+ *   Method:  SendEntry(metadata: a{sv}, data: s) → (delivered: b, detail: s)
+ *   Signal:  EntryReceived(metadata: a{sv}, data: s)
+ *   Property: State (s), ErrorDetail (s) as in v1
+ *
+ *   metadata: id (s), mimetype (s), origin (s, device name),
+ *             timestamp (x, ms since the epoch), hash (s, hex SHA-256 of
+ *             the raw bytes).  SendEntry returns once the other device
+ *             acknowledged the entry (delivered) or gave up (detail says why).
+ *
+ *   Chunked transfers, for entries over CHUNK_SIZE (optional, used when
+ *   MountLink has BeginTransfer); raw bytes, no base64:
+ *   Method:  BeginTransfer(metadata: a{sv}, size: t) → (transfer: s)
+ *   Method:  SendChunk(transfer: s, offset: t, data: ay)
+ *   Method:  FinishTransfer(transfer: s) → (delivered: b, detail: s)
+ *            MountLink checks the hash before passing the entry on
+ *   Signal:  TransferStarted(transfer: s, metadata: a{sv}, size: t)
+ *   Method:  FetchChunk(transfer: s, offset: t, length: u) → (data: ay)
+ *   Method:  AckTransfer(transfer: s, delivered: b, detail: s)
+ *            ← extension, once it took or refused the entry; an entry
+ *            refused on its metadata is acked before any FetchChunk
+ *   Method:  CancelTransfer(transfer: s)   either side gives up
+ *   Signal:  TransferCancelled(transfer: s)
+ *
+ * v1, interface com.mountlink.ClipboardSync:
  *   Method:  SendClipboard(mimetype: s, data: s)        ← extension calls
  *   Signal:  ClipboardReceived(mimetype: s, data: s)    ← ML emits
  *   Property: State (s)
  *   Property: ErrorDetail (s)  — human-readable reason for error/stopped state
  *
- * All "data" values are base64-encoded raw bytes.
+ * The version is chosen by introspecting the object when MountLink appears.
+ * String "data" values are base64-encoded raw bytes.
+ *
+ * Entries go through an OutboundQueue (syncqueue.js): they wait there while
+ * MountLink is away and are sent one at a time, oldest first, with failed
+ * sends retried after a growing delay.
+ *
+ * DBusEndpointSync speaks the v1 contract with any service the user names.
  */
 
 import Gio from 'gi://Gio';
 import GLib from 'gi://GLib';
 
+import { OutboundQueue } from './syncqueue.js';
+import { SyncProvider } from './syncprovider.js';
+
 const BUS_NAME = 'com.mountlink.ClipboardSync';
 const OBJ_PATH = '/com/mountlink/ClipboardSync';
 const IFACE    = 'com.mountlink.ClipboardSync';
+const IFACE_V2 = 'com.mountlink.ClipboardSync2';
+const MOUNTLINK_ENDPOINT = Object.freeze({ busName: BUS_NAME, objectPath: OBJ_PATH, iface: IFACE });
 const ACTIVE_SEND_STATES = new Set(['connected', 'listening']);
 
 const MAX_SYNC_SIZE = 14 * 1024 * 1024; // ~10 MB decoded (base64 overhead)
+const SEND_TIMEOUT = 5000;
+// v2 waits for the other device to acknowledge
+const SEND_TIMEOUT_V2 = 20000;
+const DEVICE_NAME = GLib.get_host_name();
+const CHUNK_SIZE = 1024 * 1024;
+// Chunked transfers are held in memory whole, so they are capped too
+const MAX_TRANSFER_SIZE = 64 * 1024 * 1024;
+// Send results that are final, not worth a retry
+const TOO_LARGE = Object.freeze({ delivered: false, detail: 'Too large to sync', reason: 'too-large' });
+const CANCELLED = Object.freeze({ delivered: false, detail: 'Cancelled', reason: 'cancelled' });
+// Retries of a failed send wait 1 s, 2 s, 4 s … up to a minute
+const MAX_SEND_ATTEMPTS = 6;
+const RETRY_BASE_DELAY = 1000;
+const MAX_RETRY_DELAY = 60000;
 
-const INTROSPECT_XML = `
-<node>
-  <interface name="${IFACE}">
+const v1InterfaceXml = iface => `
+  <interface name="${iface}">
     <method name="SendClipboard">
       <arg name="mimetype" type="s" direction="in"/>
       <arg name="data"     type="s" direction="in"/>
@@ -41,50 +90,167 @@ const INTROSPECT_XML = `
     </signal>
     <property name="State" type="s" access="read"/>
     <property name="ErrorDetail" type="s" access="read"/>
-  </interface>
+  </interface>`;
+
+const INTROSPECT_XML = `
+<node>
+  <interface name="${IFACE_V2}">
+    <method name="SendEntry">
+      <arg name="metadata"  type="a{sv}" direction="in"/>
+      <arg name="data"      type="s"     direction="in"/>
+      <arg name="delivered" type="b"     direction="out"/>
+      <arg name="detail"    type="s"     direction="out"/>
+    </method>
+    <signal name="EntryReceived">
+      <arg name="metadata" type="a{sv}"/>
+      <arg name="data"     type="s"/>
+    </signal>
+    <method name="BeginTransfer">
+      <arg name="metadata" type="a{sv}" direction="in"/>
+      <arg name="size"     type="t"     direction="in"/>
+      <arg name="transfer" type="s"     direction="out"/>
+    </method>
+    <method name="SendChunk">
+      <arg name="transfer" type="s"  direction="in"/>
+      <arg name="offset"   type="t"  direction="in"/>
+      <arg name="data"     type="ay" direction="in"/>
+    </method>
+    <method name="FinishTransfer">
+      <arg name="transfer"  type="s" direction="in"/>
+      <arg name="delivered" type="b" direction="out"/>
+      <arg name="detail"    type="s" direction="out"/>
+    </method>
+    <method name="FetchChunk">
+      <arg name="transfer" type="s"  direction="in"/>
+      <arg name="offset"   type="t"  direction="in"/>
+      <arg name="length"   type="u"  direction="in"/>
+      <arg name="data"     type="ay" direction="out"/>
+    </method>
+    <method name="AckTransfer">
+      <arg name="transfer"  type="s" direction="in"/>
+      <arg name="delivered" type="b" direction="in"/>
+      <arg name="detail"    type="s" direction="in"/>
+    </method>
+    <method name="CancelTransfer">
+      <arg name="transfer" type="s" direction="in"/>
+    </method>
+    <signal name="TransferStarted">
+      <arg name="transfer" type="s"/>
+      <arg name="metadata" type="a{sv}"/>
+      <arg name="size"     type="t"/>
+    </signal>
+    <signal name="TransferCancelled">
+      <arg name="transfer" type="s"/>
+    </signal>
+    <property name="State" type="s" access="read"/>
+    <property name="ErrorDetail" type="s" access="read"/>
+  </interface>${v1InterfaceXml(IFACE)}
 </node>`;
 
-let _nodeInfo, _ifaceInfo;
+let _nodeInfo, _ifaceInfo, _ifaceInfoV2;
 try {
     _nodeInfo  = Gio.DBusNodeInfo.new_for_xml(INTROSPECT_XML);
     _ifaceInfo = _nodeInfo.lookup_interface(IFACE);
+    _ifaceInfoV2 = _nodeInfo.lookup_interface(IFACE_V2);
 } catch (e) {
     console.error('MountLinkSync: failed to parse introspect XML:', e);
 }
 
-export class MountLinkSync {
+export class MountLinkSync extends SyncProvider {
     #proxy = null;
-    #enabled;
-    #state = 'disconnected';
+    #enabled = false;
+    #endpoint;
     #errorDetail = '';
     #onClipboardReceived = null;
-    #onStateChanged = null;
+    #acceptIncoming = null;
+    #onTransferChanged = null;
+    #onReceiveDropped = null;
     #destroyed = false;
+    #version = 0;
+    #chunked = false;
+    #queue;
+    #sending = null;
+    #retryTimeout = null;
+    #outgoing = null;
+    #incoming = null;
 
     #nameWatcherId = 0;
     #signalSubId = 0;
     #propChangedId = 0;
     #busConnection = null;
 
-    constructor ({ enabled, onClipboardReceived, onStateChanged }) {
-        this.#enabled = enabled;
+    /**
+     * Starts disabled, see updateSettings().
+     * @param {object} params
+     * @param {(length: number) => void} params.onQueueChanged
+     * @param {() => void} params.onTransferChanged  A transfer started,
+     *        progressed or ended; see `transfer`
+     * @param {(reason: string) => void} params.onReceiveDropped  An entry
+     *        from MountLink could not be taken ('too-large' or 'corrupt')
+     * @param {(mimetype: string, size: number) => string|null} params.acceptIncoming
+     *        Why an announced transfer would not be taken, null if it would
+     */
+    constructor ({ onClipboardReceived, acceptIncoming, onStateChanged, onQueueChanged, onTransferChanged,
+        onReceiveDropped }) {
+        super({ onStateChanged });
+        this.#endpoint = MOUNTLINK_ENDPOINT;
         this.#onClipboardReceived = onClipboardReceived;
-        this.#onStateChanged = onStateChanged;
-
-        if (enabled) this.#watchBus();
-        else this.#setState('disabled');
+        this.#acceptIncoming = acceptIncoming;
+        this.#onTransferChanged = onTransferChanged;
+        this.#onReceiveDropped = onReceiveDropped;
+        this.#queue = new OutboundQueue({ onChanged: onQueueChanged });
+        this._setState('disabled');
     }
 
-    get state () { return this.#state; }
+    get id () { return 'mountlink'; }
     get errorDetail () { return this.#errorDetail; }
+    /** Protocol version in use, 0 while not connected. */
+    get protocolVersion () { return this.#version; }
+    /** Entries waiting to be sent. */
+    get queueLength () { return this.#queue.length; }
+
+    /**
+     * The entry being sent or received right now, sending first.
+     * @returns {{direction: 'send'|'receive', fraction: number}|null}
+     */
+    get transfer () {
+        if (this.#outgoing) return { direction: 'send', fraction: this.#outgoing.fraction };
+        if (this.#incoming)
+            return { direction: 'receive', fraction: this.#incoming.received / this.#incoming.bytes.length };
+        return null;
+    }
+
+    /** Abort the entries being sent and received right now. */
+    cancelTransfer () {
+        if (this.#outgoing) this.#queue.cancel(this.#outgoing.id, CANCELLED);
+        this.#outgoing?.cancellable.cancel();
+        this.#incoming?.cancellable.cancel();
+    }
 
-    updateSettings ({ enabled }) {
-        if (enabled === this.#enabled) return;
+    /**
+     * @param {object} settings
+     * @param {boolean} settings.enabled
+     * @param {string|null} settings.queuePath  File keeping queued entries
+     *        across restarts, null to keep them in memory only
+     * @param {{busName: string, objectPath: string, iface: string}} settings.endpoint
+     *        Service to talk to instead of MountLink (v1 contract only)
+     */
+    updateSettings ({ enabled, queuePath = null, endpoint = this.#endpoint }) {
+        this.#queue.setPath(enabled ? queuePath : null);
+        const moved = !_sameEndpoint(endpoint, this.#endpoint);
+        if (moved) {
+            if (this.#enabled) this.#unwatchBus();
+            this.#endpoint = endpoint;
+        }
+        if (enabled === this.#enabled && !moved) return;
         this.#enabled = enabled;
 
         if (!enabled) {
             this.#unwatchBus();
-            this.#setState('disabled');
+            this.#cancelRetry();
+            this.#queue.clear('Sync was turned off');
+            this.#outgoing?.cancellable.cancel();
+            this._setState('disabled');
             return;
         }
 
@@ -92,53 +258,204 @@ export class MountLinkSync {
     }
 
     /**
-     * Send clipboard content to MountLink over D-Bus.
+     * Send clipboard content to MountLink over D-Bus, queueing it until
+     * MountLink is there.  With v1 an entry counts as delivered once
+     * MountLink took it; v2 waits for the other device's acknowledgement.
      * @param {string} mimetype
      * @param {Uint8Array} bytes
+     * @param {{id: string, timestamp: number}} entry  Sent along with v2
+     * @returns {Promise<{delivered: boolean, detail: string, reason?: string}>|null}
+     *          settled once delivered or given up, reason 'too-large' or
+     *          'cancelled' if it will not be retried; null if nothing is
+     *          sent (sync off, no data)
      */
-    send (mimetype, bytes) {
-        if (!this.#proxy || !this.#enabled) return;
-        if (!ACTIVE_SEND_STATES.has(this.#state)) return;
-        if (!bytes || !mimetype) return;
+    send (mimetype, bytes, { id, timestamp }) {
+        if (!this.#enabled || this.#destroyed) return null;
+        if (!bytes || !mimetype) return null;
+        if (bytes.length > MAX_TRANSFER_SIZE) return Promise.resolve(TOO_LARGE);
+
+        return new Promise(resolve => {
+            this.#queue.push({ id, mimetype, bytes, timestamp }, resolve, this.#sending);
+            this.#pump();
+        });
+    }
+
+    /** Send the oldest queued entry, if MountLink can take it now. */
+    #pump () {
+        if (this.#sending || this.#retryTimeout || this.#destroyed) return;
+        if (!this.#proxy || !ACTIVE_SEND_STATES.has(this.state)) return;
+        const item = this.#queue.head;
+        if (!item) return;
+
+        this.#sending = item;
+        this.#deliver(item).then(result => {
+            this.#sending = null;
+            if (this.#destroyed) return;
+            // Cleared or superseded while in flight
+            if (this.#queue.head !== item && !result.delivered) {
+                this.#pump();
+                return;
+            }
+            if (result.delivered || result.reason || ++item.attempts >= MAX_SEND_ATTEMPTS) {
+                this.#queue.settle(item, result);
+                this.#pump();
+                return;
+            }
+            console.debug(`MountLink: send failed (${result.detail}), retry ${item.attempts}`);
+            const delay = Math.min(RETRY_BASE_DELAY * 2 ** (item.attempts - 1), MAX_RETRY_DELAY);
+            this.#retryTimeout = setTimeout(() => {
+                this.#retryTimeout = null;
+                this.#pump();
+            }, delay);
+        });
+    }
+
+    #cancelRetry () {
+        if (this.#retryTimeout) { clearTimeout(this.#retryTimeout); this.#retryTimeout = null; }
+    }
 
+    /** @returns {Promise<{delivered: boolean, detail: string, reason?: string}>} */
+    async #deliver (item) {
+        const outgoing = { id: item.id, cancellable: new Gio.Cancellable(), fraction: 0 };
+        this.#outgoing = outgoing;
+        this.#onTransferChanged?.();
         try {
-            const data = GLib.base64_encode(bytes);
-            if (data.length > MAX_SYNC_SIZE) return;
-            this.#proxy.call(
-                'SendClipboard',
-                new GLib.Variant('(ss)', [mimetype, data]),
-                Gio.DBusCallFlags.NONE,
-                5000, null,
-                (_proxy, res) => {
-                    try { _proxy.call_finish(res); }
-                    catch (e) { console.debug('MountLink: D-Bus async error', e); }
-                }
-            );
+            if (this.#chunked && item.bytes.length > CHUNK_SIZE)
+                return await this.#sendChunked(this.#proxy, item, outgoing);
+            return await this.#sendWhole(this.#proxy, item, outgoing.cancellable);
+        } catch (e) {
+            if (e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) return CANCELLED;
+            if (e instanceof GLib.Error) Gio.DBusError.strip_remote_error(e);
+            return { delivered: false, detail: e.message };
+        } finally {
+            this.#outgoing = null;
+            this.#onTransferChanged?.();
+        }
+    }
+
+    async #sendWhole (proxy, item, cancellable) {
+        // base64 grows the data by a third
+        if (Math.ceil(item.bytes.length / 3) * 4 > MAX_SYNC_SIZE) return TOO_LARGE;
+        const data = GLib.base64_encode(item.bytes);
+
+        if (this.#version !== 2) {
+            await _call(proxy, 'SendClipboard', new GLib.Variant('(ss)', [item.mimetype, data]),
+                SEND_TIMEOUT, cancellable);
+            return { delivered: true, detail: '' };
+        }
+        const reply = await _call(proxy, 'SendEntry', new GLib.Variant('(a{sv}s)', [_metadata(item), data]),
+            SEND_TIMEOUT_V2, cancellable);
+        const [delivered, detail] = reply.deepUnpack();
+        return { delivered, detail };
+    }
+
+    async #sendChunked (proxy, item, outgoing) {
+        const { bytes } = item;
+        const [transfer] = (await _call(proxy, 'BeginTransfer',
+            new GLib.Variant('(a{sv}t)', [_metadata(item), bytes.length]),
+            SEND_TIMEOUT, outgoing.cancellable)).deepUnpack();
+        try {
+            for (let offset = 0; offset < bytes.length; offset += CHUNK_SIZE) {
+                const chunk = bytes.subarray(offset, offset + CHUNK_SIZE);
+                await _call(proxy, 'SendChunk', new GLib.Variant('(stay)', [transfer, offset, chunk]),
+                    SEND_TIMEOUT, outgoing.cancellable);
+                outgoing.fraction = (offset + chunk.length) / bytes.length;
+                this.#onTransferChanged?.();
+            }
+            const [delivered, detail] = (await _call(proxy, 'FinishTransfer',
+                new GLib.Variant('(s)', [transfer]), SEND_TIMEOUT_V2, outgoing.cancellable)).deepUnpack();
+            return { delivered, detail };
+        } catch (e) {
+            // Let MountLink drop what it got so far
+            _call(proxy, 'CancelTransfer', new GLib.Variant('(s)', [transfer]), SEND_TIMEOUT).catch(() => {});
+            throw e;
+        }
+    }
+
+    /** Fetch an entry MountLink announced with TransferStarted. */
+    async #receiveChunked (transfer, metadata, size) {
+        // A newer entry makes the one still coming in pointless
+        this.#incoming?.cancellable.cancel();
+        const proxy = this.#proxy;
+        if (typeof metadata.mimetype !== 'string' || typeof metadata.hash !== 'string' ||
+            size === 0 || size > MAX_TRANSFER_SIZE) {
+            _call(proxy, 'CancelTransfer', new GLib.Variant('(s)', [transfer]), SEND_TIMEOUT).catch(() => {});
+            if (size > MAX_TRANSFER_SIZE) this.#onReceiveDropped?.('too-large');
+            return;
+        }
+        // Private mode and the receive settings are known up front, no
+        // need to download what would be thrown away
+        const refusal = this.#acceptIncoming?.(metadata.mimetype, size);
+        if (refusal) {
+            _ackTransfer(proxy, transfer, false, refusal);
+            return;
+        }
+
+        const incoming = { transfer, bytes: new Uint8Array(size), received: 0, cancellable: new Gio.Cancellable() };
+        this.#incoming = incoming;
+        this.#onTransferChanged?.();
+        try {
+            while (incoming.received < size) {
+                const length = Math.min(CHUNK_SIZE, size - incoming.received);
+                const reply = await _call(proxy, 'FetchChunk',
+                    new GLib.Variant('(stu)', [transfer, incoming.received, length]),
+                    SEND_TIMEOUT, incoming.cancellable);
+                const chunk = reply.get_child_value(0).get_data_as_bytes().toArray();
+                if (chunk.length === 0 || chunk.length > length)
+                    throw new Error(`Chunk of ${chunk.length} bytes, asked for ${length}`);
+                incoming.bytes.set(chunk, incoming.received);
+                incoming.received += chunk.length;
+                this.#onTransferChanged?.();
+            }
         } catch (e) {
-            console.error('MountLink sync: D-Bus send failed', e);
+            if (!incoming.cancellable.is_cancelled())
+                console.error('MountLink sync: receiving entry failed', e);
+            _call(proxy, 'CancelTransfer', new GLib.Variant('(s)', [transfer]), SEND_TIMEOUT).catch(() => {});
+            return;
+        } finally {
+            if (this.#incoming === incoming) {
+                this.#incoming = null;
+                this.#onTransferChanged?.();
+            }
         }
+
+        if (metadata.hash !== GLib.compute_checksum_for_data(GLib.ChecksumType.SHA256, incoming.bytes)) {
+            console.error('MountLink sync: received entry does not match its hash, dropped');
+            _ackTransfer(proxy, transfer, false, 'Data does not match its hash');
+            this.#onReceiveDropped?.('corrupt');
+            return;
+        }
+        const rejected = this.#onClipboardReceived?.(metadata.mimetype, incoming.bytes, _entryMeta(metadata));
+        _ackTransfer(proxy, transfer, !rejected, rejected ?? '');
     }
 
     destroy () {
         this.#destroyed = true;
+        this.#cancelRetry();
+        this.#outgoing?.cancellable.cancel();
+        this.#incoming?.cancellable.cancel();
         this.#unwatchBus();
     }
 
     // ── Private ──
 
-    #setState (state) {
-        if (this.#state === state) return;
-        this.#state = state;
-        this.#onStateChanged?.(state);
+    _setState (state) {
+        if (this.state === state) return;
+        super._setState(state);
+        // Back online: send what piled up, without waiting for a retry
+        if (ACTIVE_SEND_STATES.has(state)) {
+            this.#cancelRetry();
+            this.#pump();
+        }
     }
 
     #watchBus () {
         if (this.#nameWatcherId || this.#destroyed || !this.#enabled) return;
-        this.#setState('connecting');
+        this._setState('connecting');
 
         this.#nameWatcherId = Gio.bus_watch_name(
             Gio.BusType.SESSION,
-            BUS_NAME,
+            this.#endpoint.busName,
             Gio.BusNameWatcherFlags.NONE,
             (_conn, _name, _owner) => this.#onNameAppeared(_conn),
             (_conn, _name) => this.#onNameVanished()
@@ -153,6 +470,9 @@ export class MountLinkSync {
         }
         this.#busConnection = null;
         this.#proxy = null;
+        this.#version = 0;
+        this.#chunked = false;
+        this.#incoming?.cancellable.cancel();
     }
 
     #unsubSignals () {
@@ -176,15 +496,52 @@ export class MountLinkSync {
         }
         this.#unsubSignals();
         this.#busConnection = connection;
+        this.#negotiate(connection, (version, chunked) => this.#createProxy(connection, version, chunked));
+    }
+
+    /**
+     * Find out whether MountLink offers v2, and chunked transfers with it;
+     * v1 if it does not say.
+     */
+    #negotiate (connection, onVersion) {
+        if (this.#endpoint !== MOUNTLINK_ENDPOINT) {
+            onVersion(1, false);
+            return;
+        }
+        connection.call(BUS_NAME, OBJ_PATH, 'org.freedesktop.DBus.Introspectable', 'Introspect',
+            null, new GLib.VariantType('(s)'), Gio.DBusCallFlags.NONE, SEND_TIMEOUT, null,
+            (conn, res) => {
+                let version = 1;
+                let chunked = false;
+                try {
+                    const [xml] = conn.call_finish(res).deepUnpack();
+                    const v2 = Gio.DBusNodeInfo.new_for_xml(xml).lookup_interface(IFACE_V2);
+                    if (v2) {
+                        version = 2;
+                        chunked = !!v2.lookup_method('BeginTransfer');
+                    }
+                } catch (e) {
+                    console.debug('MountLink: introspection failed, assuming v1', e.message);
+                }
+                if (this.#destroyed || !this.#enabled || this.#busConnection !== connection) return;
+                onVersion(version, chunked);
+            });
+    }
+
+    #createProxy (connection, version, chunked) {
+        const { busName, objectPath } = this.#endpoint;
+        const [ifaceInfo, iface] = version === 2
+            ? [_ifaceInfoV2, IFACE_V2]
+            : [_v1InterfaceInfo(this.#endpoint.iface), this.#endpoint.iface];
 
         // Async proxy creation — avoids blocking GNOME Shell main loop
         Gio.DBusProxy.new(
             connection,
             Gio.DBusProxyFlags.NONE,
-            _ifaceInfo,
-            BUS_NAME,
-            OBJ_PATH,
-            IFACE,
+            ifaceInfo,
+            busName,
+            objectPath,
+            iface,
             null,
             (_obj, res) => {
                 if (this.#destroyed || !this.#enabled) return;
@@ -192,32 +549,36 @@ export class MountLinkSync {
                     this.#proxy = Gio.DBusProxy.new_finish(res);
                 } catch (e) {
                     console.error('MountLink sync: proxy creation failed', e);
-                    this.#setState('disconnected');
+                    this._setState('disconnected');
                     return;
                 }
                 if (this.#destroyed || !this.#enabled) { this.#proxy = null; return; }
+                this.#version = version;
+                this.#chunked = chunked;
+                console.debug(`MountLink: using protocol v${version}${chunked ? ' with chunked transfers' : ''}`);
 
-                // Subscribe to ClipboardReceived signal
                 this.#signalSubId = connection.signal_subscribe(
-                    BUS_NAME, IFACE, 'ClipboardReceived', OBJ_PATH,
+                    busName, iface, null, objectPath,
                     null, Gio.DBusSignalFlags.NONE,
-                    (_c, _s, _p, _i, _sig, params) => this.#onSignal(params)
+                    (_c, _s, _p, _i, signal, params) => this.#onSignal(signal, params)
                 );
 
                 // Watch for State and ErrorDetail property changes
                 this.#propChangedId = this.#proxy.connect(
                     'g-properties-changed', (_proxy, changed, _inv) => {
                         const v = changed.lookup_value('State', null);
-                        if (v) this.#setState(v.get_string()[0] || 'connected');
+                        if (v) this._setState(v.get_string()[0] || 'connected');
                         const d = changed.lookup_value('ErrorDetail', null);
                         if (d) this.#errorDetail = d.get_string()[0] || '';
                     }
                 );
 
-                // Read initial State from the proxy's property cache
+                // Read initial State from the proxy's property cache; other
+                // services than MountLink need not have the property
                 const cachedState = this.#proxy.get_cached_property('State');
-                const initialState = cachedState ? (cachedState.get_string()[0] || 'connected') : 'connecting';
-                this.#setState(initialState);
+                const initialState = cachedState ? (cachedState.get_string()[0] || 'connected')
+                    : this.#endpoint === MOUNTLINK_ENDPOINT ? 'connecting' : 'connected';
+                this._setState(initialState);
             }
         );
     }
@@ -227,19 +588,132 @@ export class MountLinkSync {
         this.#unsubSignals();
         this.#busConnection = null;
         this.#proxy = null;
-        if (this.#enabled) this.#setState('disconnected');
+        this.#version = 0;
+        this.#chunked = false;
+        this.#incoming?.cancellable.cancel();
+        if (this.#enabled) this._setState('disconnected');
     }
 
-    #onSignal (params) {
+    #onSignal (signal, params) {
         if (this.#destroyed) return;
         try {
-            const mimetype = params.get_child_value(0).get_string()[0];
-            const b64data  = params.get_child_value(1).get_string()[0];
-            if (b64data.length > MAX_SYNC_SIZE) return;
-            const bytes = GLib.base64_decode(b64data);
-            this.#onClipboardReceived?.(mimetype, bytes);
+            switch (signal) {
+            case 'EntryReceived':
+                this.#onEntrySignal(params);
+                break;
+            case 'TransferStarted': {
+                const [transfer, metadata, size] = params.recursiveUnpack();
+                this.#receiveChunked(transfer, metadata, size);
+                break;
+            }
+            case 'TransferCancelled': {
+                const [transfer] = params.deepUnpack();
+                if (this.#incoming?.transfer === transfer) this.#incoming.cancellable.cancel();
+                break;
+            }
+            case 'ClipboardReceived': {
+                const mimetype = params.get_child_value(0).get_string()[0];
+                const b64data  = params.get_child_value(1).get_string()[0];
+                if (b64data.length > MAX_SYNC_SIZE) {
+                    this.#onReceiveDropped?.('too-large');
+                    return;
+                }
+                const bytes = GLib.base64_decode(b64data);
+                this.#onClipboardReceived?.(mimetype, bytes, {});
+                break;
+            }
+            }
         } catch (e) {
             console.error('MountLink sync: signal parse error', e);
         }
     }
+
+    /** v2: the metadata comes along, and the hash must match the data. */
+    #onEntrySignal (params) {
+        const metadata = params.get_child_value(0).recursiveUnpack();
+        const b64data = params.get_child_value(1).get_string()[0];
+        if (typeof metadata.mimetype !== 'string') return;
+        if (b64data.length > MAX_SYNC_SIZE) {
+            this.#onReceiveDropped?.('too-large');
+            return;
+        }
+
+        const bytes = GLib.base64_decode(b64data);
+        if (typeof metadata.hash === 'string' &&
+            metadata.hash !== GLib.compute_checksum_for_data(GLib.ChecksumType.SHA256, bytes)) {
+            console.error('MountLink sync: received entry does not match its hash, dropped');
+            this.#onReceiveDropped?.('corrupt');
+            return;
+        }
+        this.#onClipboardReceived?.(metadata.mimetype, bytes, _entryMeta(metadata));
+    }
+}
+
+/**
+ * A user-configured D-Bus service speaking the v1 contract under its own
+ * bus name, object path and interface.
+ */
+export class DBusEndpointSync extends MountLinkSync {
+    get id () { return 'dbus'; }
+
+    /**
+     * @param {object} settings  As for MountLinkSync, with the endpoint
+     *        given as busName, objectPath and iface strings
+     */
+    updateSettings ({ enabled, queuePath = null, busName, objectPath, iface }) {
+        const valid = Gio.dbus_is_name(busName) && GLib.Variant.is_object_path(objectPath) &&
+            Gio.dbus_is_interface_name(iface);
+        super.updateSettings({
+            enabled: enabled && valid,
+            queuePath,
+            endpoint: valid ? { busName, objectPath, iface } : undefined,
+        });
+        if (enabled && !valid) this._setState('error');
+        else if (!enabled) this._setState('disabled');
+    }
+}
+
+function _sameEndpoint (a, b) {
+    return a.busName === b.busName && a.objectPath === b.objectPath && a.iface === b.iface;
+}
+
+function _v1InterfaceInfo (iface) {
+    if (iface === IFACE) return _ifaceInfo;
+    return Gio.DBusNodeInfo.new_for_xml(`<node>${v1InterfaceXml(iface)}</node>`).lookup_interface(iface);
+}
+
+/** v2 metadata of a queued entry. */
+function _metadata ({ id, mimetype, timestamp, hash }) {
+    return {
+        id: new GLib.Variant('s', id),
+        mimetype: new GLib.Variant('s', mimetype),
+        origin: new GLib.Variant('s', DEVICE_NAME),
+        timestamp: new GLib.Variant('x', timestamp),
+        hash: new GLib.Variant('s', hash),
+    };
+}
+
+/** What onClipboardReceived gets of the v2 metadata of a received entry. */
+function _entryMeta (metadata) {
+    return {
+        id: typeof metadata.id === 'string' ? metadata.id : null,
+        origin: typeof metadata.origin === 'string' ? metadata.origin : '',
+        timestamp: Number(metadata.timestamp) || 0,
+    };
+}
+
+function _call (proxy, method, params, timeout, cancellable = null) {
+    return new Promise((resolve, reject) => {
+        proxy.call(method, params, Gio.DBusCallFlags.NONE, timeout, cancellable, (obj, res) => {
+            try {
+                resolve(obj.call_finish(res));
+            } catch (e) { reject(e); }
+        });
+    });
+}
+
+/** Tell MountLink whether a chunked entry was taken; nothing to do if it is gone. */
+function _ackTransfer (proxy, transfer, delivered, detail) {
+    _call(proxy, 'AckTransfer', new GLib.Variant('(sbs)', [transfer, delivered, detail]), SEND_TIMEOUT)
+        .catch(e => console.debug('MountLink: transfer ack failed', e.message));
 }
@@ -0,0 +1,114 @@
+/**
+ * Owns the sync providers and hands each entry to every enabled one.
+ *
+ * Settings come in one object keyed by provider id, each part going to
+ * that provider's updateSettings().  Received entries, state changes and
+ * dropped entries are reported with the id of the provider they come from.
+ */
+
+import GLib from 'gi://GLib';
+
+import { DBusEndpointSync, MountLinkSync } from './sync.js';
+import { FolderSync } from './foldersync.js';
+import { KdeConnectSync } from './kdeconnect.js';
+
+const PROVIDERS = [MountLinkSync, KdeConnectSync, DBusEndpointSync, FolderSync];
+
+export class SyncManager {
+    #providers;
+
+    /**
+     * @param {object} params
+     * @param {(provider: string, mimetype: string, bytes: Uint8Array, meta: object) => string|null} params.onClipboardReceived
+     *        Returns why the entry was not taken, null if it was
+     * @param {(provider: string, mimetype: string, size: number) => string|null} params.acceptIncoming
+     *        Asked before a large entry is downloaded; returns why it would not be taken
+     * @param {(provider: string, state: string) => void} params.onStateChanged
+     * @param {() => void} params.onChanged  Queue length or transfer progress changed
+     * @param {(provider: string, reason: string) => void} params.onReceiveDropped
+     */
+    constructor ({ onClipboardReceived, acceptIncoming, onStateChanged, onChanged, onReceiveDropped }) {
+        this.#providers = PROVIDERS.map(Provider => {
+            let id = null;
+            const provider = new Provider({
+                onClipboardReceived: (...args) => onClipboardReceived(id, ...args),
+                acceptIncoming: (...args) => acceptIncoming(id, ...args),
+                // Constructors report 'disabled' before the id is known
+                onStateChanged: state => id && onStateChanged(id, state),
+                onQueueChanged: () => onChanged(),
+                onTransferChanged: () => onChanged(),
+                onReceiveDropped: reason => onReceiveDropped(id, reason),
+            });
+            id = provider.id;
+            return provider;
+        });
+    }
+
+    /** Providers that are turned on, in a fixed order. */
+    get enabled () {
+        return this.#providers.filter(p => p.state !== 'disabled');
+    }
+
+    /**
+     * @param {Object<string, object>} settings  Provider id → its settings
+     */
+    updateSettings (settings) {
+        for (const provider of this.#providers)
+            provider.updateSettings(settings[provider.id] ?? { enabled: false });
+    }
+
+    /**
+     * Send an entry through every enabled provider that takes it.  Entries
+     * a provider may have written to the clipboard itself only go back
+     * through that provider: passed on, they would skip the receive settings.
+     * @returns {Promise<{delivered: boolean, detail: string, reason?: string}>|null}
+     *          delivered once all of them delivered it; the reason is kept
+     *          when it is the same for every failure.  null if no provider
+     *          took the entry
+     */
+    send (mimetype, bytes, entry) {
+        const writers = this.#providers.filter(p => p.writesClipboard(mimetype));
+        const deliveries = (writers.length > 0 ? writers : this.#providers)
+            .map(provider => provider.send(mimetype, bytes, entry)?.then(result => ({ ...result, provider })))
+            .filter(Boolean);
+        if (deliveries.length === 0) return null;
+
+        return Promise.all(deliveries).then(results => {
+            const failed = results.filter(r => !r.delivered);
+            if (failed.length === 0) return { delivered: true, detail: '' };
+            const reasons = new Set(failed.map(r => r.reason));
+            return {
+                delivered: false,
+                detail: failed.map(r => `${r.provider.id}: ${r.detail || 'no reason given'}`).join('; '),
+                reason: reasons.size === 1 ? failed[0].reason : undefined,
+            };
+        });
+    }
+
+    /** Whether any provider is sending or receiving an entry right now. */
+    get transferring () {
+        return this.#providers.some(p => p.transfer);
+    }
+
+    cancelTransfer () {
+        this.#providers.forEach(p => p.cancelTransfer());
+    }
+
+    destroy () {
+        this.#providers.forEach(p => {
+            try {
+                p.destroy();
+            } catch (e) {
+                console.error(`Sync provider ${p.id}: destroy failed`, e);
+            }
+        });
+    }
+}
+
+/** Where a provider keeps its outbound queue in `dir`, null without one. */
+export function queuePath (dir, provider) {
+    if (!dir) return null;
+    // MountLink's queue file predates the other providers
+    const name = provider === 'mountlink' ? 'sync-queue.json' : `sync-queue-${provider}.json`;
+    return GLib.build_filenamev([dir, name]);
+}
@@ -0,0 +1,49 @@
+/**
+ * Which entries may go out to the sync providers and come in from them.
+ *
+ * Each direction has its own switch, the kinds of content it lets through
+ * and a size limit.  Received entries either replace the clipboard, as a
+ * local copy would, or only join the history.
+ *
+ * Shared with prefs.js, so this module must not import shell libraries.
+ */
+
+export const SyncType = {
+    TEXT: 'text',
+    IMAGE: 'image',
+    FILES: 'files',                 // copied files, as a list of URIs
+    OTHER: 'other',
+};
+
+export const SYNC_TYPES = Object.values(SyncType);
+
+export const ReceiveMode = {
+    CLIPBOARD: 'clipboard',         // set the clipboard and add to the history
+    HISTORY: 'history',             // add to the history only
+};
+
+export const RECEIVE_MODES = Object.values(ReceiveMode);
+
+const FILE_LIST_MIMETYPES = ['text/uri-list', 'x-special/gnome-copied-files'];
+
+export function syncTypeOf (mimetype) {
+    if (FILE_LIST_MIMETYPES.includes(mimetype)) return SyncType.FILES;
+    if (mimetype.startsWith('image/')) return SyncType.IMAGE;
+    if (mimetype.startsWith('text/') || mimetype === 'STRING' || mimetype === 'UTF8_STRING')
+        return SyncType.TEXT;
+    return SyncType.OTHER;
+}
+
+/**
+ * @param {{enabled: boolean, types: Set<string>, maxKb: number}} policy
+ *        The settings of one direction; maxKb 0 is no limit
+ * @param {string} type  One of SYNC_TYPES
+ * @param {number} size  In bytes
+ * @returns {string|null} why the entry may not pass, null if it may
+ */
+export function checkSyncPolicy (policy, type, size) {
+    if (!policy.enabled) return 'direction turned off';
+    if (!policy.types.has(type)) return `${type} not allowed`;
+    if (policy.maxKb > 0 && size > policy.maxKb * 1024) return `larger than ${policy.maxKb} KB`;
+    return null;
+}
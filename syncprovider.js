@@ -0,0 +1,62 @@
+/**
+ * Base class of the sync providers, the backends that exchange clipboard
+ * entries with other devices.  The SyncManager (syncmanager.js) owns one
+ * of each and hands every entry to the enabled ones.
+ *
+ * A provider gets its settings through updateSettings(), which always
+ * carries `enabled`; a disabled provider reports the 'disabled' state and
+ * returns null from send().  Other states: 'connecting', 'connected',
+ * 'listening' (connected, the other side is not sending), 'disconnected',
+ * 'error' and 'stopped'.
+ */
+
+export class SyncProvider {
+    #state = 'disconnected';
+    #onStateChanged;
+
+    /** @param {{onStateChanged: (state: string) => void}} params */
+    constructor ({ onStateChanged }) {
+        this.#onStateChanged = onStateChanged;
+    }
+
+    /** Short name used in settings, file names and logs. */
+    get id () {
+        throw new Error(`${this.constructor.name} does not define id`);
+    }
+
+    get state () { return this.#state; }
+    /** Entries waiting to be sent. */
+    get queueLength () { return 0; }
+    /** @returns {{direction: 'send'|'receive', fraction: number}|null} */
+    get transfer () { return null; }
+
+    /**
+     * @param {string} _mimetype
+     * @param {Uint8Array} _bytes
+     * @param {{id: string, timestamp: number}} _entry
+     * @returns {Promise<{delivered: boolean, detail: string, reason?: string}>|null}
+     *          settled once delivered or given up, reason 'too-large' or
+     *          'cancelled' if it will not be retried; null if the provider
+     *          does not take the entry (disabled, unsupported type)
+     */
+    send (_mimetype, _bytes, _entry) {
+        throw new Error(`${this.constructor.name} does not implement send()`);
+    }
+
+    /**
+     * Whether entries of this type that the provider receives go straight
+     * to the clipboard, where they look like local copies.
+     */
+    writesClipboard (_mimetype) { return false; }
+
+    updateSettings (_settings) {}
+    /** Abort the entries being sent and received right now. */
+    cancelTransfer () {}
+    destroy () {}
+
+    _setState (state) {
+        if (this.#state === state) return;
+        this.#state = state;
+        this.#onStateChanged?.(state);
+    }
+}
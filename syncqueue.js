@@ -0,0 +1,184 @@
+/**
+ * Outbound queue of entries waiting to be sent to MountLink.
+ *
+ * Entries copied while MountLink is away (or while a send is retried) wait
+ * here, oldest first.  The queue is bounded in length and size, dropping
+ * the oldest entries first, and a newer copy of a queued entry (same id or
+ * same content) takes the place of the older one.  Optionally the queue is
+ * kept in a file, so entries survive a restart of the shell.
+ */
+
+import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+
+const QUEUE_VERSION = 1;
+const MAX_QUEUE_ITEMS = 50;
+const MAX_QUEUE_BYTES = 16 * 1024 * 1024;
+
+export class OutboundQueue {
+    #items = [];
+    #path = null;
+    #onChanged;
+    #writing = Promise.resolve();
+
+    /**
+     * @param {object} params
+     * @param {string|null} params.path  File keeping the queue, null for memory only
+     * @param {(length: number) => void} params.onChanged
+     */
+    constructor ({ path = null, onChanged }) {
+        this.#onChanged = onChanged;
+        this.setPath(path);
+    }
+
+    get length () { return this.#items.length; }
+    get head () { return this.#items[0] ?? null; }
+
+    /**
+     * Start or stop keeping the queue in `path`.  Items already in a file
+     * that is being switched to are put ahead of the ones in memory.
+     */
+    setPath (path) {
+        if (path === this.#path) return;
+        const previous = this.#path;
+        this.#path = path;
+
+        if (previous) _deleteFile(previous);
+        if (path) {
+            this.#restore().catch(e => console.error('MountLink sync: cannot read queued entries', e));
+        }
+    }
+
+    /**
+     * Queue `item` ({id, mimetype, bytes, timestamp}); it absorbs any queued
+     * item it supersedes, except one being sent right now.
+     * @param {(result: {delivered: boolean, detail: string}) => void} waiter
+     */
+    push (item, waiter, inFlight = null) {
+        const hash = GLib.compute_checksum_for_data(GLib.ChecksumType.SHA256, item.bytes);
+        const queued = { ...item, hash, attempts: 0, waiters: [waiter] };
+
+        this.#items = this.#items.filter(old => {
+            if (old === inFlight || (old.id !== queued.id && old.hash !== hash)) return true;
+            queued.waiters.push(...old.waiters);
+            return false;
+        });
+        this.#items.push(queued);
+
+        let bytes = this.#items.reduce((sum, i) => sum + i.bytes.length, 0);
+        while (this.#items.length > 1 &&
+               (this.#items.length > MAX_QUEUE_ITEMS || bytes > MAX_QUEUE_BYTES)) {
+            const dropped = this.#items[this.#items[0] === inFlight ? 1 : 0];
+            if (dropped === queued) break;
+            this.#items.splice(this.#items.indexOf(dropped), 1);
+            bytes -= dropped.bytes.length;
+            _settle(dropped, { delivered: false, detail: 'Dropped from the full outbound queue' });
+        }
+        this.#changed();
+        return queued;
+    }
+
+    /** Remove `item` and tell whoever queued it how it went. */
+    settle (item, result) {
+        const idx = this.#items.indexOf(item);
+        if (idx < 0) return;
+        this.#items.splice(idx, 1);
+        _settle(item, result);
+        this.#changed();
+    }
+
+    /** Remove the items of entry `id`, settling them with `result`. */
+    cancel (id, result) {
+        const cancelled = this.#items.filter(item => item.id === id);
+        if (cancelled.length === 0) return;
+        this.#items = this.#items.filter(item => item.id !== id);
+        cancelled.forEach(item => _settle(item, result));
+        this.#changed();
+    }
+
+    /** Fail and remove every queued item. */
+    clear (detail) {
+        const items = this.#items;
+        this.#items = [];
+        items.forEach(item => _settle(item, { delivered: false, detail }));
+        this.#changed();
+    }
+
+    #changed () {
+        this.#onChanged?.(this.#items.length);
+        if (this.#path) this.#save();
+    }
+
+    #save () {
+        const path = this.#path;
+        const json = JSON.stringify({
+            version: QUEUE_VERSION,
+            items: this.#items.map(({ id, mimetype, bytes, timestamp }) =>
+                ({ id, mimetype, timestamp, data: GLib.base64_encode(bytes) })),
+        });
+        // One write at a time, so the last state wins
+        this.#writing = this.#writing.then(() => new Promise(resolve => {
+            if (this.#path !== path) {
+                resolve();
+                return;
+            }
+            GLib.mkdir_with_parents(GLib.path_get_dirname(path), 0o700);
+            Gio.File.new_for_path(path).replace_contents_bytes_async(
+                new GLib.Bytes(new TextEncoder().encode(json)), null, false,
+                Gio.FileCreateFlags.PRIVATE, null, (file, res) => {
+                    try {
+                        file.replace_contents_finish(res);
+                    } catch (e) {
+                        console.error('MountLink sync: cannot save queued entries', e);
+                    }
+                    resolve();
+                });
+        }));
+    }
+
+    async #restore () {
+        const path = this.#path;
+        const file = Gio.File.new_for_path(path);
+        let contents;
+        try {
+            contents = await new Promise((resolve, reject) => {
+                file.load_contents_async(null, (obj, res) => {
+                    try {
+                        resolve(obj.load_contents_finish(res)[1]);
+                    } catch (e) { reject(e); }
+                });
+            });
+        } catch (e) {
+            if (e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND)) return;
+            throw e;
+        }
+        if (this.#path !== path) return;
+
+        const doc = JSON.parse(new TextDecoder().decode(contents));
+        if (doc?.version !== QUEUE_VERSION || !Array.isArray(doc.items)) return;
+        const restored = doc.items
+            .filter(i => typeof i.id === 'string' && typeof i.mimetype === 'string' && typeof i.data === 'string')
+            .map(i => {
+                const bytes = GLib.base64_decode(i.data);
+                return {
+                    id: i.id, mimetype: i.mimetype, bytes,
+                    timestamp: Number(i.timestamp) || Date.now(),
+                    hash: GLib.compute_checksum_for_data(GLib.ChecksumType.SHA256, bytes),
+                    attempts: 0, waiters: [],
+                };
+            })
+            .filter(i => !this.#items.some(q => q.id === i.id || q.hash === i.hash));
+        this.#items = [...restored, ...this.#items].slice(-MAX_QUEUE_ITEMS);
+        this.#changed();
+    }
+}
+
+function _settle (item, result) {
+    item.waiters.forEach(waiter => waiter(result));
+}
+
+function _deleteFile (path) {
+    Gio.File.new_for_path(path).delete_async(GLib.PRIORITY_DEFAULT, null, (file, res) => {
+        try { file.delete_finish(res); } catch (e) { /* ignore: nothing was queued */ }
+    });
+}
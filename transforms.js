@@ -0,0 +1,137 @@
+/**
+ * Text transformations offered in the actions of a history item.
+ *
+ * A transform maps the entry's text to a new text, or throws a
+ * TransformError when it does not apply (e.g. "decode" on text that is not
+ * encoded).  Besides the built-in ones, users may register external
+ * commands that get the text on stdin and print the result.
+ */
+
+import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+
+// An external command that has not answered by then is killed
+const COMMAND_TIMEOUT = 10000;
+
+export class TransformError extends Error {}
+
+export const BUILTIN_TRANSFORMS = [
+    { id: 'trim', apply: text => text.trim() },
+    { id: 'single-line', apply: text => text.replace(/\s*[\r\n]+\s*/g, ' ').trim() },
+    { id: 'upper-case', apply: text => text.toUpperCase() },
+    { id: 'lower-case', apply: text => text.toLowerCase() },
+    {
+        id: 'title-case',
+        apply: text => text.toLowerCase()
+            .replace(/(^|[^\p{L}\p{N}'’])(\p{L})/gu, (_m, before, letter) => before + letter.toUpperCase()),
+    },
+    {
+        // The result is always plain text, so rich formats are dropped too
+        id: 'strip-formatting',
+        apply: text => text.replace(/[\u200B-\u200D\u2060\uFEFF]/g, '').replace(/[\u00A0\u202F]/g, ' '),
+    },
+    { id: 'url-encode', apply: text => encodeURIComponent(text) },
+    {
+        id: 'url-decode',
+        apply: text => {
+            try {
+                return decodeURIComponent(text);
+            } catch (e) {
+                throw new TransformError('Not URL-encoded');
+            }
+        },
+    },
+    { id: 'base64-encode', apply: text => GLib.base64_encode(new TextEncoder().encode(text)) },
+    {
+        id: 'base64-decode',
+        apply: text => {
+            const encoded = text.replace(/\s+/g, '');
+            if (!/^[A-Za-z0-9+/]*={0,2}$/.test(encoded) || encoded.length % 4 === 1)
+                throw new TransformError('Not base64');
+            try {
+                return new TextDecoder('utf-8', { fatal: true }).decode(GLib.base64_decode(encoded));
+            } catch (e) {
+                throw new TransformError('Decoded data is not text');
+            }
+        },
+    },
+    { id: 'json-pretty', apply: text => JSON.stringify(_parseJson(text), null, 2) },
+    { id: 'json-minify', apply: text => JSON.stringify(_parseJson(text)) },
+    { id: 'shell-escape', apply: text => `'${text.replaceAll("'", "'\\''")}'` },
+];
+
+/** Whether `entry` has text to transform; a file list does not count. */
+export function canTransform (entry) {
+    return entry.isText() && !entry.isFileList();
+}
+
+/**
+ * @param {string} spec  "name=command", as stored in the settings
+ * @returns {{name: string, command: string}|null} null if malformed
+ */
+export function parseCustomTransform (spec) {
+    const idx = spec.indexOf('=');
+    if (idx <= 0) return null;
+    const name = spec.slice(0, idx).trim();
+    const command = spec.slice(idx + 1).trim();
+    if (!name || !command) return null;
+    try {
+        GLib.shell_parse_argv(command);
+    } catch (e) {
+        return null;
+    }
+    return { name, command };
+}
+
+/**
+ * Run `command` with `text` on stdin and return what it prints.  A final
+ * newline the command adds is dropped, so `tr` and `jq` style tools give
+ * the text one would expect.
+ */
+export async function runCommand (command, text) {
+    const [, argv] = GLib.shell_parse_argv(command);
+    let proc;
+    try {
+        proc = Gio.Subprocess.new(argv,
+            Gio.SubprocessFlags.STDIN_PIPE | Gio.SubprocessFlags.STDOUT_PIPE | Gio.SubprocessFlags.STDERR_PIPE);
+    } catch (e) {
+        throw new TransformError(e.message);
+    }
+
+    const cancellable = new Gio.Cancellable();
+    const timeout = setTimeout(() => {
+        cancellable.cancel();
+        proc.force_exit();
+    }, COMMAND_TIMEOUT);
+
+    let stdout, stderr;
+    try {
+        [stdout, stderr] = await new Promise((resolve, reject) => {
+            proc.communicate_utf8_async(text, cancellable, (obj, res) => {
+                try {
+                    const [, out, err] = obj.communicate_utf8_finish(res);
+                    resolve([out ?? '', err ?? '']);
+                } catch (e) { reject(e); }
+            });
+        });
+    } catch (e) {
+        if (cancellable.is_cancelled()) throw new TransformError(`${argv[0]} timed out`);
+        throw new TransformError(e.message);
+    } finally {
+        clearTimeout(timeout);
+    }
+
+    if (!proc.get_successful()) {
+        const status = proc.get_if_exited() ? `status ${proc.get_exit_status()}` : 'a signal';
+        throw new TransformError(stderr.trim() || `${argv[0]} exited with ${status}`);
+    }
+    return stdout.endsWith('\n') && !text.endsWith('\n') ? stdout.slice(0, -1) : stdout;
+}
+
+function _parseJson (text) {
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        throw new TransformError('Not valid JSON');
+    }
+}